@@ -0,0 +1,71 @@
+// admins.js — admin accounts and what each role may do
+//
+// Accounts live in the `admins` document:
+//   [{ username, role, passwordHash, createdAt }]
+// Passwords use the same salted scrypt hashes as roster PINs (see pins.js).
+//
+// Roles:
+//   commissioner — everything, including reset, roster, settings, restores and accounts
+//   scorekeeper  — slates, scores, recalculation, game status, final tiebreaker team
+//   readonly     — audit log, backups list/diff, files and players, no changes
+
+const { hashPin, verifyPin } = require('./pins');
+
+const ROLES = ['commissioner', 'scorekeeper', 'readonly'];
+
+// permission -> roles that hold it; every admin route asks for exactly one
+const PERMISSIONS = {
+  read:   ['commissioner', 'scorekeeper', 'readonly'],
+  score:  ['commissioner', 'scorekeeper'],
+  manage: ['commissioner']
+};
+
+const MIN_PASSWORD_LENGTH = 8;
+
+const normalizeUsername = s => String(s ?? '').trim().toLowerCase();
+
+function can(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+}
+
+function checkPassword(password) {
+  if (String(password ?? '').length < MIN_PASSWORD_LENGTH) {
+    throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+}
+
+// New account row, or throws with a message fit for a 400
+function createAccount({ username, password, role }) {
+  const name = normalizeUsername(username);
+  if (!/^[a-z0-9._-]{2,40}$/.test(name)) throw new Error('Username must be 2-40 letters, digits, dot, dash or underscore');
+  checkRole(role);
+  checkPassword(password);
+  return { username: name, role, passwordHash: hashPin(password), createdAt: new Date().toISOString() };
+}
+
+// Existing row with a new role and/or password (either may be omitted)
+function updateAccount(account, { password, role } = {}) {
+  const next = { ...account };
+  if (role != null && role !== '') {
+    checkRole(role);
+    next.role = role;
+  }
+  if (password != null && password !== '') {
+    checkPassword(password);
+    next.passwordHash = hashPin(password);
+  }
+  return next;
+}
+
+// Account when username + password match, else null
+function authenticateAdmin(accounts, username, password) {
+  const name = normalizeUsername(username);
+  const account = (Array.isArray(accounts) ? accounts : []).find(a => a?.username === name);
+  return account && verifyPin(password, account.passwordHash) ? account : null;
+}
+
+module.exports = { ROLES, PERMISSIONS, can, normalizeUsername, createAccount, updateAccount, authenticateAdmin };
@@ -0,0 +1,172 @@
+// gameTime.js — kickoff and cutoff times, independent of the server's TZ
+//
+// Kickoffs are stored as UTC ISO (`kickoffUTC`) plus the IANA zone the sheet's
+// wall-clock time was read in (`timezone`); the human `date` string stays for display.
+// Zone offsets come from Intl, so CST/CDT (and any other zone's DST) are handled.
+//
+// Ingest formats understood by parseKickoff():
+//   "2025-08-28 4:30 PM"      "Thu 2025-08-28 4:30 PM"     "08/28/2025 4:30 PM"
+//   "2025-08-28 16:30"        "2025-08-28T16:30:00"        (wall clock in `zone`)
+//   "2025-08-28T21:30:00Z"    "2025-08-28T16:30:00-05:00"  (absolute)
+//   "2025-08-28"              (midnight in `zone`)         45897.6875 (Excel serial)
+
+const DEFAULT_ZONE = (process.env.LEAGUE_TIMEZONE || '').trim() || 'America/Chicago';
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+function isValidZone(zone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return !!zone;
+  } catch {
+    return false;
+  }
+}
+
+const formatters = new Map();
+function formatterFor(zone) {
+  if (!formatters.has(zone)) {
+    formatters.set(zone, new Intl.DateTimeFormat('en-US', {
+      timeZone: zone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit', weekday: 'short'
+    }));
+  }
+  return formatters.get(zone);
+}
+
+// Wall-clock fields of an instant in a zone: { year, month, day, hour, minute, second, weekday (0=Sun) }
+function partsInZone(date, zone = DEFAULT_ZONE) {
+  const out = {};
+  for (const { type, value } of formatterFor(zone).formatToParts(date)) out[type] = value;
+  return {
+    year: Number(out.year),
+    month: Number(out.month),
+    day: Number(out.day),
+    hour: Number(out.hour),
+    minute: Number(out.minute),
+    second: Number(out.second),
+    weekday: DAYS.indexOf(String(out.weekday).slice(0, 3).toLowerCase())
+  };
+}
+
+// UTC offset (ms) of a zone at an instant
+function offsetAt(date, zone) {
+  const p = partsInZone(date, zone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Wall-clock time in a zone -> Date. Two passes settle the offset across DST changes
+// (a time skipped by spring-forward resolves to the hour before).
+function zonedToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, zone = DEFAULT_ZONE) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+  let t = wall - offsetAt(new Date(wall), zone);
+  t = wall - offsetAt(new Date(t), zone);
+  return new Date(t);
+}
+
+const to24h = (h, ap) => {
+  let H = Number(h) % 12;
+  if (String(ap).toUpperCase() === 'PM') H += 12;
+  return H;
+};
+
+// Excel serial day number (1900 date system) -> wall-clock fields
+function excelSerialParts(serial) {
+  const ms = Math.round((Number(serial) - 25569) * 86400 * 1000);
+  const d = new Date(ms);
+  return {
+    year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate(),
+    hour: d.getUTCHours(), minute: d.getUTCMinutes(), second: 0
+  };
+}
+
+/**
+ * Kickoff instant for any ingest format; wall-clock strings are read in `zone`.
+ * Returns a Date or null when the value isn't recognizable.
+ */
+function parseKickoff(raw, zone = DEFAULT_ZONE) {
+  if (raw == null || raw === '') return null;
+  if (raw instanceof Date) return Number.isNaN(raw.getTime()) ? null : raw;
+  if (typeof raw === 'number') return Number.isFinite(raw) && raw > 0 ? zonedToUtc(excelSerialParts(raw), zone) : null;
+
+  const s = String(raw).trim().replace(/^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i, '');
+  let m;
+
+  // Absolute ISO (Z or ±hh:mm)
+  if (/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/i.test(s)) {
+    const d = new Date(s);
+    return Number.isNaN(d.getTime()) ? null : d;
+  }
+  // YYYY-MM-DD h:mm AM/PM
+  if ((m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})\s+(\d{1,2})(?::(\d{2}))?\s*([ap]m)$/i))) {
+    return zonedToUtc({ year: +m[1], month: +m[2], day: +m[3], hour: to24h(m[4], m[6]), minute: +(m[5] || 0) }, zone);
+  }
+  // MM/DD/YYYY h:mm AM/PM
+  if ((m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2})(?::(\d{2}))?\s*([ap]m)$/i))) {
+    return zonedToUtc({ year: +m[3], month: +m[1], day: +m[2], hour: to24h(m[4], m[6]), minute: +(m[5] || 0) }, zone);
+  }
+  // YYYY-MM-DD HH:mm[:ss] or YYYY-MM-DDTHH:mm[:ss] (24h, no offset)
+  if ((m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})[ T](\d{1,2}):(\d{2})(?::(\d{2}))?$/))) {
+    return zonedToUtc({ year: +m[1], month: +m[2], day: +m[3], hour: +m[4], minute: +m[5], second: +(m[6] || 0) }, zone);
+  }
+  // Date only -> midnight
+  if ((m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    return zonedToUtc({ year: +m[1], month: +m[2], day: +m[3] }, zone);
+  }
+  if ((m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    return zonedToUtc({ year: +m[3], month: +m[1], day: +m[2] }, zone);
+  }
+  return null;
+}
+
+// Date -> "2025-08-28 4:30 PM" on the zone's wall clock (the games sheet format)
+function formatInZone(date, zone = DEFAULT_ZONE) {
+  const p = partsInZone(date, zone);
+  const h12 = p.hour % 12 || 12;
+  const pad = n => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${h12}:${pad(p.minute)} ${p.hour >= 12 ? 'PM' : 'AM'}`;
+}
+
+// { kickoffUTC, timezone } for a game's date, or null when it can't be read
+function toKickoff(raw, zone = DEFAULT_ZONE) {
+  const d = parseKickoff(raw, zone);
+  return d ? { kickoffUTC: d.toISOString(), timezone: zone } : null;
+}
+
+// Default cutoff: Thursday 1:00 PM league time
+const DEFAULT_CUTOFF = { day: 'thu', time: '13:00', timezone: DEFAULT_ZONE };
+
+// Checks a { day, time, timezone } cutoff config -> [] or error messages
+function cutoffConfigErrors(cfg) {
+  const errors = [];
+  if (!DAYS.includes(String(cfg?.day || '').toLowerCase())) errors.push(`day must be one of ${DAYS.join(', ')}`);
+  if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(String(cfg?.time || ''))) errors.push('time must be HH:MM (24h)');
+  if (!isValidZone(cfg?.timezone)) errors.push('timezone must be an IANA zone like America/Chicago');
+  return errors;
+}
+
+/**
+ * Cutoff for a slate: the configured weekday/time in the configured zone, in the
+ * same Sunday-to-Saturday week as `firstKickoff` (e.g. Thursday 1 PM before a
+ * Saturday slate).
+ */
+function computeCutoff(firstKickoff, cfg = DEFAULT_CUTOFF) {
+  if (!firstKickoff) return null;
+  const zone = cfg.timezone || DEFAULT_ZONE;
+  const p = partsInZone(firstKickoff, zone);
+  const shift = DAYS.indexOf(String(cfg.day).toLowerCase()) - p.weekday;
+  const [hour, minute] = String(cfg.time).split(':').map(Number);
+  // Day arithmetic on a UTC date avoids month/DST edges; the wall time is applied after
+  const day = new Date(Date.UTC(p.year, p.month - 1, p.day + shift));
+  return zonedToUtc({
+    year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), hour, minute
+  }, zone);
+}
+
+module.exports = {
+  DEFAULT_ZONE, DEFAULT_CUTOFF, DAYS,
+  isValidZone, partsInZone, zonedToUtc, parseKickoff, formatInZone, toKickoff,
+  cutoffConfigErrors, computeCutoff
+};
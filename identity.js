@@ -0,0 +1,105 @@
+// identity.js — one way to answer "which player is this?"
+//
+// Roster rows carry a stable `id`, the display `name` and optional login `aliases`.
+// Names and aliases match case-insensitively with whitespace collapsed, so
+// "masterblaster", " MasterBlaster " and an alias like "MB" all resolve to the
+// same player. Picks, results, totals and chat use the display name; anything
+// that needs to survive a rename stores the id.
+
+const { verifyPin } = require('./pins');
+
+const nameKey = s => String(s ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const slug = s => nameKey(s).replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'player';
+
+/**
+ * Give every roster row an id (and aliases array). Rows that match a player in
+ * `previous` (by id, name or alias) keep that player's id, so re-uploading the
+ * roster or fixing a name's case doesn't change anyone's identity.
+ */
+function assignPlayerIds(rows, previous = []) {
+  const prevDir = buildDirectory(previous);
+  const taken = new Set();
+  return (rows || []).map(row => {
+    const aliases = [...new Set((Array.isArray(row.aliases) ? row.aliases : String(row.aliases || '').split(','))
+      .map(a => String(a).trim())
+      .filter(a => a && nameKey(a) !== nameKey(row.name)))];
+    let id = row.id || prevDir.resolve(row.name)?.id || null;
+    if (!id || taken.has(id)) {
+      // New player: slug of the name, skipping ids that belong to someone else
+      const base = `p-${slug(row.name)}`;
+      const clashes = cand => taken.has(cand) || !!prevDir.byId(cand);
+      id = base;
+      for (let n = 2; clashes(id); n++) id = `${base}-${n}`;
+    }
+    taken.add(id);
+    return { ...row, id, aliases };
+  });
+}
+
+/**
+ * Lookup structure over roster rows:
+ *   resolve(nameOrAliasOrId) -> { id, name, aliases, pinHash, row } | null
+ *   displayName(anyName)     -> roster display name, or the input trimmed
+ */
+function buildDirectory(rosterRows) {
+  const rows = Array.isArray(rosterRows) ? rosterRows : Object.values(rosterRows || {});
+  const players = [];
+  const byKey = new Map();
+  const ids = new Map();
+
+  for (const row of rows) {
+    if (!row) continue;
+    const name = String(typeof row === 'string' ? row : (row.name ?? row.gameName ?? row['Game Name'] ?? '')).trim();
+    if (!name) continue;
+    const player = {
+      id: row.id || `p-${slug(name)}`,
+      name,
+      aliases: Array.isArray(row.aliases) ? row.aliases : [],
+      pinHash: String(row.pinHash || ''),
+      row
+    };
+    players.push(player);
+    ids.set(player.id, player);
+    if (!byKey.has(nameKey(name))) byKey.set(nameKey(name), player);
+  }
+  // Display names win over aliases if they ever collide
+  for (const p of players) {
+    for (const a of p.aliases) if (!byKey.has(nameKey(a))) byKey.set(nameKey(a), p);
+  }
+
+  const resolve = input => {
+    if (input == null) return null;
+    return ids.get(String(input)) || byKey.get(nameKey(input)) || null;
+  };
+
+  return {
+    players,
+    size: players.length,
+    byId: id => ids.get(id) || null,
+    resolve,
+    displayName: input => resolve(input)?.name ?? String(input ?? '').trim(),
+    // Player when the name/alias exists and the PIN matches its hash
+    authenticate(nameInput, pinInput) {
+      const p = resolve(nameInput);
+      return p && verifyPin(pinInput, p.pinHash) ? p : null;
+    }
+  };
+}
+
+// Names/aliases that would resolve to more than one player -> ['"mb" is used by Masterblaster and Mike B', ...]
+function findIdentityConflicts(rows) {
+  const owner = new Map();
+  const conflicts = [];
+  for (const row of rows || []) {
+    const keys = [row.name, ...(Array.isArray(row.aliases) ? row.aliases : [])];
+    for (const k of new Set(keys.map(nameKey))) {
+      if (!k) continue;
+      if (owner.has(k) && owner.get(k) !== row) conflicts.push(`"${k}" is used by ${owner.get(k).name} and ${row.name}`);
+      else owner.set(k, row);
+    }
+  }
+  return conflicts;
+}
+
+module.exports = { nameKey, assignPlayerIds, buildDirectory, findIdentityConflicts };
@@ -0,0 +1,49 @@
+// One-time import of the JSON data files into the SQLite backend.
+//
+//   node importToSqlite.js [dataDir] [sqlitePath]
+//
+// Defaults to DATA_DIR / SQLITE_PATH (same as server.js). Existing rows with the
+// same key are replaced; the JSON files are left untouched.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createRepository } = require('./repository');
+
+const dataDir = path.resolve(process.argv[2] || (process.env.DATA_DIR || './data').trim());
+const sqlitePath = process.argv[3] || (process.env.SQLITE_PATH || '').trim() || path.join(dataDir, 'pickem.db');
+
+if (!fs.existsSync(dataDir)) {
+  console.error(`❌ Data folder not found: ${dataDir}`);
+  process.exit(1);
+}
+
+const source = createRepository({ backend: 'json', dataDir });
+const target = createRepository({ backend: 'sqlite', dataDir, sqlitePath });
+
+let imported = 0;
+const skipped = [];
+
+for (const { key } of source.list()) {
+  const text = source.getText(key);
+  if (text == null) continue;
+  try {
+    target.put(key, JSON.parse(text));
+  } catch {
+    // rules.json may hold plain text — keep it verbatim
+    target.putText(key, text);
+    skipped.push(key);
+  }
+  imported++;
+}
+
+// Audit journal (audit.jsonl) — only into an empty table so re-runs don't duplicate it
+let events = 0;
+if (!target.readEvents().length) {
+  for (const e of source.readEvents()) { target.appendEvent(e); events++; }
+}
+
+console.log(`✅ Imported ${imported} documents from ${dataDir} into ${sqlitePath}`);
+if (events) console.log(`✅ Imported ${events} audit events`);
+if (skipped.length) console.log(`ℹ️ Stored as raw text (not valid JSON): ${skipped.join(', ')}`);
+console.log('Start the server with STORAGE_BACKEND=sqlite to use it.');
+process.exit(0);
@@ -0,0 +1,127 @@
+// loginGuard.js — brute-force protection for PIN / password sign-in
+//
+// Two limits, both in memory (a restart clears them):
+//   - attempts per IP per minute (LOGIN_IP_MAX_PER_MINUTE, default 20), right or wrong
+//   - consecutive failures per target (player id / admin username) and per IP;
+//     LOGIN_MAX_FAILURES (default 5) for a target, 4x that for an IP, within
+//     LOGIN_LOCKOUT_MINUTES (default 15), locks it for the same number of minutes
+// A successful sign-in clears the target's failures.
+
+const num = (v, d) => (Number(v) > 0 ? Number(v) : d);
+
+function createLoginGuard({
+  ipMaxPerMinute = num(process.env.LOGIN_IP_MAX_PER_MINUTE, 20),
+  maxFailures = num(process.env.LOGIN_MAX_FAILURES, 5),
+  lockoutMinutes = num(process.env.LOGIN_LOCKOUT_MINUTES, 15),
+  now = () => Date.now()
+} = {}) {
+  const lockoutMs = lockoutMinutes * 60 * 1000;
+  const attempts = new Map();  // ip -> [timestamps within the last minute]
+  const failures = new Map();  // 'ip:<ip>' | 'target:<key>' -> { count, first, lockedUntil, label }
+
+  const limitFor = key => (key.startsWith('ip:') ? maxFailures * 4 : maxFailures);
+
+  function entry(key, label) {
+    let e = failures.get(key);
+    if (!e || (!e.lockedUntil && now() - e.first > lockoutMs)) {
+      e = { count: 0, first: now(), lockedUntil: 0, label };
+      failures.set(key, e);
+    }
+    return e;
+  }
+
+  function lockedFor(key) {
+    const e = failures.get(key);
+    if (!e || !e.lockedUntil) return 0;
+    if (e.lockedUntil <= now()) {
+      failures.delete(key);
+      return 0;
+    }
+    return Math.ceil((e.lockedUntil - now()) / 1000);
+  }
+
+  // Drop counters nobody has touched for a while so the maps don't grow forever
+  function sweep() {
+    const t = now();
+    for (const [ip, list] of attempts) if (!list.some(x => t - x < 60 * 1000)) attempts.delete(ip);
+    for (const [key, e] of failures) {
+      if (e.lockedUntil ? e.lockedUntil <= t : t - e.first > lockoutMs) failures.delete(key);
+    }
+  }
+
+  /**
+   * Call before checking credentials.
+   * -> { ok: true } | { ok: false, reason: 'rate_limited'|'locked', scope: 'ip'|'target', retryAfter }
+   */
+  function check(ip, target) {
+    const t = now();
+    if (attempts.size > 1000) sweep();
+    const recent = (attempts.get(ip) || []).filter(x => t - x < 60 * 1000);
+    if (recent.length >= ipMaxPerMinute) {
+      attempts.set(ip, recent);
+      return { ok: false, reason: 'rate_limited', scope: 'ip', retryAfter: Math.ceil((recent[0] + 60 * 1000 - t) / 1000) };
+    }
+    recent.push(t);
+    attempts.set(ip, recent);
+
+    const ipWait = lockedFor(`ip:${ip}`);
+    if (ipWait) return { ok: false, reason: 'locked', scope: 'ip', retryAfter: ipWait };
+    const targetWait = target ? lockedFor(`target:${target}`) : 0;
+    if (targetWait) return { ok: false, reason: 'locked', scope: 'target', retryAfter: targetWait };
+    return { ok: true };
+  }
+
+  // -> list of scopes that just became locked (['target'], ['ip'], ...)
+  function recordFailure(ip, target, label = target) {
+    const locked = [];
+    const keys = [[`ip:${ip}`, ip, 'ip'], ...(target ? [[`target:${target}`, label, 'target']] : [])];
+    for (const [key, lbl, scope] of keys) {
+      const e = entry(key, lbl);
+      e.count += 1;
+      if (!e.lockedUntil && e.count >= limitFor(key)) {
+        e.lockedUntil = now() + lockoutMs;
+        locked.push(scope);
+      }
+    }
+    return locked;
+  }
+
+  function recordSuccess(ip, target) {
+    if (target) failures.delete(`target:${target}`);
+  }
+
+  // Current lockouts and failure counters, for the admin view
+  function list() {
+    const out = [];
+    for (const [key, e] of failures) {
+      const [scope, ...rest] = key.split(':');
+      const wait = lockedFor(key);
+      if (!wait && (!failures.has(key) || now() - e.first > lockoutMs)) continue;
+      out.push({
+        scope,
+        key: rest.join(':'),
+        label: e.label,
+        failures: e.count,
+        locked: !!wait,
+        lockedUntil: wait ? new Date(e.lockedUntil).toISOString() : null
+      });
+    }
+    return out.sort((a, b) => Number(b.locked) - Number(a.locked) || b.failures - a.failures);
+  }
+
+  // clear({ scope: 'ip'|'target', key }) one entry, clear() everything -> number removed
+  function clear({ scope, key } = {}) {
+    if (!scope) {
+      const n = failures.size;
+      failures.clear();
+      attempts.clear();
+      return n;
+    }
+    if (scope === 'ip') attempts.delete(key);
+    return failures.delete(`${scope}:${key}`) ? 1 : 0;
+  }
+
+  return { check, recordFailure, recordSuccess, list, clear, maxFailures, lockoutMinutes };
+}
+
+module.exports = { createLoginGuard };
@@ -0,0 +1,50 @@
+// Upgrade a data directory (or SQLite database) to the current schema version.
+//
+//   node migrate.js [--dry-run]
+//
+// Uses the same DATA_DIR / BACKUP_DIR / STORAGE_BACKEND / SQLITE_PATH settings as server.js.
+// Rewritten documents are backed up to BACKUP_DIR first.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { createRepository } = require('./repository');
+const { runMigrations, getSchemaVersion, LATEST_VERSION } = require('./migrations');
+
+const dryRun = process.argv.includes('--dry-run');
+const dataDirRaw   = (process.env.DATA_DIR   || './data').replace(/\r?\n/g, '').trim();
+const backupDirRaw = (process.env.BACKUP_DIR || 'backups').replace(/\r?\n/g, '').trim();
+const dataDir   = path.isAbsolute(dataDirRaw) ? dataDirRaw : path.join(__dirname, dataDirRaw);
+const backupDir = path.isAbsolute(backupDirRaw) ? backupDirRaw : path.join(dataDir, backupDirRaw);
+
+if (!fs.existsSync(dataDir)) {
+  console.error(`❌ Data folder not found: ${dataDir}`);
+  process.exit(1);
+}
+if (!fs.existsSync(backupDir)) fs.mkdirSync(backupDir, { recursive: true });
+
+const repo = createRepository({
+  backend: (process.env.STORAGE_BACKEND || 'json').trim().toLowerCase(),
+  dataDir,
+  backupDir,
+  sqlitePath: (process.env.SQLITE_PATH || '').trim() || undefined
+});
+
+const current = getSchemaVersion(repo);
+console.log(`📁 ${repo.backend} data at ${dataDir} — schema version ${current}, latest ${LATEST_VERSION}`);
+if (current >= LATEST_VERSION) {
+  console.log('✅ Already up to date.');
+  process.exit(0);
+}
+
+const { applied } = runMigrations(repo, { dryRun });
+let problemCount = 0;
+for (const m of applied) {
+  console.log(`${dryRun ? '🔎' : '✅'} v${m.version}: ${m.description}`);
+  console.log(`   ${m.changed.length ? `${dryRun ? 'would rewrite' : 'rewrote'}: ${m.changed.join(', ')}` : 'no changes needed'}`);
+  for (const p of m.problems) {
+    problemCount++;
+    console.log(`   ⚠️ ${p.key} left as-is — ${p.errors.slice(0, 5).join('; ')}`);
+  }
+}
+if (dryRun) console.log('Dry run — nothing was written.');
+process.exit(problemCount ? 2 : 0);
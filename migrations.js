@@ -0,0 +1,213 @@
+// migrations.js — versioned upgrades of a data directory to the canonical shapes in schemas.js
+//
+// The applied version lives in the `schema_version` document:
+//   { version, history: [{ version, description, appliedAt, changed, problems }] }
+// runMigrations() applies every migration above that version, in order. Each one
+// rewrites documents through the repository, so the previous copies land in BACKUP_DIR.
+
+const schemas = require('./schemas');
+const identity = require('./identity');
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Canonical roster, games, scores, picks, totals, pot and settings documents',
+    up(repo, { dryRun }) {
+      const changed = [];
+      const problems = [];
+      for (const { key } of repo.list()) {
+        const kind = schemas.kindForKey(key);
+        if (!kind || kind === 'winners') continue;
+        const before = repo.get(key);
+        if (before == null) continue;
+        const after = schemas.normalize(kind, before);
+        const errors = schemas.validate(kind, after);
+        if (errors.length) {
+          problems.push({ key, errors });
+          continue;
+        }
+        if (JSON.stringify(before) === JSON.stringify(after)) continue;
+        if (!dryRun) repo.put(key, after, { backup: true });
+        changed.push(key);
+      }
+      return { changed, problems };
+    }
+  },
+  {
+    version: 2,
+    description: 'Salted PIN hashes in the roster; PINs scrubbed from picks files',
+    up(repo, { dryRun }) {
+      const changed = [];
+      const problems = [];
+      for (const { key } of repo.list()) {
+        const kind = schemas.kindForKey(key);
+        if (kind !== 'roster' && kind !== 'picks') continue;
+        const before = repo.get(key);
+        if (before == null) continue;
+        const needed = kind === 'roster'
+          ? schemas.rosterHasPlainPins(before)
+          : (Array.isArray(before) && before.some(e => e && ('pin' in e || 'PIN' in e)));
+        if (!needed) continue;
+        const after = schemas.normalize(kind, before);
+        const errors = schemas.validate(kind, after);
+        if (errors.length) {
+          problems.push({ key, errors });
+          continue;
+        }
+        if (!dryRun) repo.put(key, after, { backup: false }); // a backup would keep the plain PINs
+        changed.push(key);
+      }
+
+      // Older backups (including hand-made copies) hold the same PINs
+      for (const id of repo.listBackupFiles()) {
+        const m = id.match(/(?:^|_)(roster|picks)(?:_week_\d+)?(?:_|\.json$)/);
+        if (!m) continue;
+        let body;
+        try { body = repo.readBackup(id); } catch { continue; }
+        if (!Array.isArray(body)) continue;
+        const scrubbed = schemas.normalize(m[1], body);
+        if (JSON.stringify(scrubbed) === JSON.stringify(body)) continue;
+        if (!dryRun) repo.writeBackup(id, scrubbed);
+        changed.push(`backup:${id}`);
+      }
+      return { changed, problems };
+    }
+  },
+  {
+    version: 3,
+    description: 'Stable player IDs and aliases in the roster; split player records merged in picks, results, totals, tiebreakers and chat',
+    up(repo, { dryRun }) {
+      const changed = [];
+      const problems = [];
+      const save = (key, value) => {
+        const kind = schemas.kindForKey(key);
+        const errors = kind ? schemas.validate(kind, value) : [];
+        if (errors.length) return problems.push({ key, errors });
+        if (!dryRun) repo.put(key, value, { backup: true });
+        changed.push(key);
+      };
+
+      const rosterBefore = repo.roster.get();
+      const roster = identity.assignPlayerIds(schemas.normalize('roster', rosterBefore || []), rosterBefore || []);
+      if (rosterBefore && JSON.stringify(roster) !== JSON.stringify(rosterBefore)) save('roster', roster);
+      const dir = identity.buildDirectory(roster);
+      // Unknown names (not on the roster) still merge by case-insensitive key
+      const who = name => {
+        const p = dir.resolve(name);
+        return p ? { key: p.id, name: p.name, id: p.id } : { key: identity.nameKey(name), name: String(name || '').trim(), id: null };
+      };
+
+      // picks / winners: canonical name + playerId, one entry per player (first one wins)
+      for (const kind of ['picks', 'winners']) {
+        for (const week of repo.listWeeks(kind)) {
+          const key = `${kind}_week_${week}`;
+          const rows = repo.get(key);
+          if (!Array.isArray(rows)) continue;
+          const seen = new Set();
+          const out = [];
+          for (const r of rows) {
+            const p = who(r?.playerId || r?.player);
+            if (!p.key || seen.has(p.key)) continue;
+            seen.add(p.key);
+            out.push({ ...r, player: p.name, ...(p.id ? { playerId: p.id } : {}) });
+          }
+          if (JSON.stringify(out) !== JSON.stringify(rows)) save(key, out);
+        }
+      }
+
+      // totals: { "masterblaster": 0, "Masterblaster": 3 } -> { "Masterblaster": 3 }
+      const totals = repo.totals.get();
+      if (totals && typeof totals === 'object') {
+        const merged = {};
+        for (const [name, pts] of Object.entries(totals)) {
+          const p = who(name);
+          merged[p.name] = (merged[p.name] || 0) + (Number(pts) || 0);
+        }
+        if (JSON.stringify(merged) !== JSON.stringify(totals)) save('totals', merged);
+      }
+
+      // tiebreakers: keyed by display name, earliest submission kept
+      const tb = repo.tiebreakers.get();
+      if (tb && tb.picks && typeof tb.picks === 'object') {
+        const picks = {};
+        for (const [name, entry] of Object.entries(tb.picks)) {
+          const p = who(name);
+          const prev = picks[p.name];
+          if (!prev || String(entry?.submittedAt || '') < String(prev.submittedAt || '')) picks[p.name] = entry;
+        }
+        if (JSON.stringify(picks) !== JSON.stringify(tb.picks)) save('tiebreakers', { ...tb, picks });
+      }
+
+      // chat: show the display name on old messages
+      const chat = repo.chat.get();
+      if (Array.isArray(chat)) {
+        const out = chat.map(m => (m && m.name ? { ...m, name: who(m.name).name } : m));
+        if (JSON.stringify(out) !== JSON.stringify(chat)) save('chat', out);
+      }
+
+      return { changed, problems };
+    }
+  },
+  {
+    version: 4,
+    description: 'Game kickoffs stored as UTC ISO plus IANA zone (kickoffUTC, timezone)',
+    up(repo, { dryRun }) {
+      const changed = [];
+      const problems = [];
+      const zone = repo.settings.get()?.cutoff?.timezone || undefined;
+      for (const week of repo.listWeeks('games')) {
+        const key = `games_week_${week}`;
+        const before = repo.get(key);
+        if (!Array.isArray(before)) continue;
+        const after = schemas.normalize('games', before, { zone });
+        const unread = after.filter(g => !g.kickoffUTC).length;
+        if (unread) problems.push({ key, errors: [`${unread} game date(s) could not be read`] });
+        if (JSON.stringify(before) === JSON.stringify(after)) continue;
+        const errors = schemas.validate('games', after);
+        if (errors.length) {
+          problems.push({ key, errors });
+          continue;
+        }
+        if (!dryRun) repo.put(key, after, { backup: true });
+        changed.push(key);
+      }
+      return { changed, problems };
+    }
+  }
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+function getSchemaVersion(repo) {
+  const doc = repo.get('schema_version');
+  return Number(doc?.version) || 0;
+}
+
+/**
+ * Apply pending migrations. Returns { from, to, applied: [{ version, description, changed, problems }] }.
+ * With dryRun nothing is written (not even the version).
+ */
+function runMigrations(repo, { dryRun = false } = {}) {
+  const from = getSchemaVersion(repo);
+  const applied = [];
+  for (const m of MIGRATIONS) {
+    if (m.version <= from) continue;
+    const { changed, problems } = m.up(repo, { dryRun });
+    applied.push({ version: m.version, description: m.description, changed, problems });
+    if (dryRun) continue;
+    const doc = repo.get('schema_version', { version: 0, history: [] });
+    repo.put('schema_version', {
+      version: m.version,
+      history: [...(doc.history || []), {
+        version: m.version,
+        description: m.description,
+        appliedAt: new Date().toISOString(),
+        changed,
+        problems: problems.map(p => p.key)
+      }]
+    });
+  }
+  return { from, to: applied.length ? applied[applied.length - 1].version : from, applied };
+}
+
+module.exports = { MIGRATIONS, LATEST_VERSION, getSchemaVersion, runMigrations };
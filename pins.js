@@ -0,0 +1,30 @@
+// pins.js — salted PIN hashes for the roster
+//
+// Stored form: "scrypt$<salt hex>$<hash hex>". Plain PINs are never written
+// anywhere; login compares a fresh hash against the stored one in constant time.
+
+const crypto = require('crypto');
+
+const PREFIX = 'scrypt';
+const KEY_LEN = 32;
+
+function hashPin(pin) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(pin).trim(), salt, KEY_LEN).toString('hex');
+  return `${PREFIX}$${salt}$${hash}`;
+}
+
+function isPinHash(stored) {
+  return typeof stored === 'string' && /^scrypt\$[0-9a-f]+\$[0-9a-f]+$/.test(stored);
+}
+
+function verifyPin(pin, stored) {
+  const input = String(pin ?? '').trim();
+  if (!input || !isPinHash(stored)) return false;
+  const [, salt, hash] = stored.split('$');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(input, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = { hashPin, isPinHash, verifyPin };
@@ -0,0 +1,140 @@
+// realtime.js — socket.io push for the live pages, so they don't have to poll
+//
+// Clients connect with the same credentials as the REST API:
+//   io(url, { auth: { token } })        session token from /api/authenticate or /api/admin/login
+//   io(url, { auth: { adminToken } })   the ADMIN_TOKEN break-glass secret
+// (or Authorization / X-Admin-Token headers where the transport can send them).
+// Anything else is refused at the handshake. The session is checked again when
+// it expires, on every 'week:join', and on revalidate() (roster/admin changes);
+// a socket whose session no longer holds gets 'session:ended' and is disconnected.
+//
+// Each socket sits in one week room ("week:<n>"): handshake auth.week, else the
+// current week. 'week:join' { week } moves it (ack -> { ok, ...snapshot }).
+//
+// Server -> client:
+//   hello              { user, ...snapshot }            once, after connecting
+//   chat:message       { name, message, timestamp }     everyone
+//   chat:cleared       {}                               everyone
+//   picks:count        { week, submitted_count, ... }   week room
+//   picks:revealed     { week, revealPicks, cutoffISO } week room
+//   scores:updated     { week, scores }                 week room
+//   standings:updated  { updatedAt, weeks, standings }  everyone
+//   session:ended      { error }                        that socket, just before it is dropped
+
+const { Server } = require('socket.io');
+
+const roomFor = week => `week:${week}`;
+const weekOf = v => {
+  const n = Number(v);
+  return Number.isInteger(n) && n > 0 ? n : null;
+};
+
+// setTimeout's ceiling (~24.8 days); a later expiry is re-checked when this passes
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+/**
+ * createRealtime({ authenticate(handshake) -> user|null, currentWeek() -> n,
+ *                  snapshot(week) -> object, cors })
+ * A user with `expiresAt` (ISO) is re-checked at that moment.
+ * The io server exists right away; attach(httpServer) once the app is listening.
+ */
+function createRealtime({ authenticate, currentWeek, snapshot = week => ({ week }), cors } = {}) {
+  const io = new Server({ cors, serveClient: false });
+
+  io.use((socket, next) => {
+    let user = null;
+    try { user = authenticate(socket.handshake); } catch {}
+    if (!user) return next(new Error('Sign in required.'));
+    socket.data.user = user;
+    next();
+  });
+
+  function end(socket, error) {
+    socket.emit('session:ended', { error });
+    socket.disconnect(true);
+  }
+
+  // Re-run the handshake auth against current state; false (and dropped) when it fails
+  function recheck(socket) {
+    let user = null;
+    try { user = authenticate(socket.handshake); } catch {}
+    if (!user) {
+      end(socket, 'Sign in required.');
+      return false;
+    }
+    socket.data.user = user;
+    scheduleExpiry(socket);
+    return true;
+  }
+
+  function scheduleExpiry(socket) {
+    clearTimeout(socket.data.expiryTimer);
+    const at = Date.parse(socket.data.user?.expiresAt || '');
+    if (!Number.isFinite(at)) return;
+    const ms = Math.min(Math.max(at - Date.now(), 0), MAX_TIMER_MS);
+    socket.data.expiryTimer = setTimeout(() => recheck(socket), ms);
+    socket.data.expiryTimer.unref();
+  }
+
+  function join(socket, week) {
+    for (const room of socket.rooms) if (room.startsWith('week:')) socket.leave(room);
+    socket.join(roomFor(week));
+    socket.data.week = week;
+  }
+
+  io.on('connection', socket => {
+    scheduleExpiry(socket);
+    socket.on('disconnect', () => clearTimeout(socket.data.expiryTimer));
+    join(socket, weekOf(socket.handshake.auth?.week) || currentWeek());
+    socket.emit('hello', { user: socket.data.user, ...snapshot(socket.data.week) });
+
+    socket.on('week:join', (payload, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (!recheck(socket)) return reply({ ok: false, error: 'Sign in required.' });
+      const week = weekOf(payload?.week ?? payload);
+      if (!week) return reply({ ok: false, error: 'Invalid week' });
+      join(socket, week);
+      reply({ ok: true, ...snapshot(week) });
+    });
+  });
+
+  // A payload given as a function is built once per tick: a score upload rewrites
+  // several documents, listeners get one event with the final state
+  const pending = new Map();
+  function emit(room, event, payload) {
+    const send = body => (room ? io.to(room) : io).emit(event, body);
+    if (typeof payload !== 'function') return send(payload);
+    const key = `${room || '*'}|${event}`;
+    if (pending.has(key)) return pending.set(key, payload);
+    pending.set(key, payload);
+    setImmediate(() => {
+      const build = pending.get(key);
+      pending.delete(key);
+      try { send(build()); }
+      catch (e) { console.warn(`⚠️ Realtime ${event} not sent:`, e?.message); }
+    });
+  }
+
+  // Drop every socket whose session has ended (signed-out admin, changed PIN, ...)
+  function revalidate() {
+    for (const socket of io.sockets.sockets.values()) recheck(socket);
+  }
+
+  // Weeks somebody is watching
+  function activeWeeks() {
+    return [...io.sockets.adapter.rooms.keys()]
+      .filter(r => r.startsWith('week:'))
+      .map(r => Number(r.slice(5)));
+  }
+
+  return {
+    io,
+    attach: server => io.attach(server),
+    toWeek: (week, event, payload) => emit(roomFor(week), event, payload),
+    toAll: (event, payload) => emit(null, event, payload),
+    activeWeeks,
+    revalidate
+  };
+}
+
+module.exports = { createRealtime };
@@ -0,0 +1,322 @@
+// repository.js — data access for roster, games, scores, picks, winners, totals, chat and settings
+//
+// Every logical document has a key: 'roster', 'chat', 'app_settings', 'games_week_3', ...
+// Two interchangeable backends, picked with STORAGE_BACKEND:
+//   json   (default) — <DATA_DIR>/<key>.json, written atomically through storage.js
+//   sqlite           — one row per key in a `documents` table (SQLITE_PATH, default <DATA_DIR>/pickem.db)
+// Backups stay plain files in BACKUP_DIR (<timestamp>_<key>.json) for either backend.
+
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const dataStore = require('./storage');
+
+const KEY_RE = /^[A-Za-z0-9_-]+$/;
+const BACKUP_RE = /^(\d{10,})_([A-Za-z0-9_-]+)\.json$/;
+const BACKUP_FILE_RE = /^[A-Za-z0-9_-]+\.json$/; // also hand-made copies like picks_week_1_before_fix.json
+
+function assertKey(key) {
+  if (!KEY_RE.test(String(key || ''))) throw new Error(`Invalid document key: ${key}`);
+  return key;
+}
+
+// ---------- JSON files ----------
+function createJsonBackend({ dataDir }) {
+  const fileFor = key => path.join(dataDir, `${assertKey(key)}.json`);
+
+  return {
+    kind: 'json',
+    lockPath: fileFor,
+    has: key => fs.existsSync(fileFor(key)),
+    readText(key) {
+      const p = fileFor(key);
+      if (!fs.existsSync(p)) return null;
+      return fs.readFileSync(p, 'utf8').replace(/^\uFEFF/, '');
+    },
+    writeText: (key, text) => dataStore.writeFileAtomic(fileFor(key), text),
+    remove(key) {
+      const p = fileFor(key);
+      if (fs.existsSync(p)) fs.unlinkSync(p);
+    },
+    list() {
+      return fs.readdirSync(dataDir)
+        .filter(name => name.endsWith('.json') && KEY_RE.test(name.slice(0, -5)))
+        .map(name => {
+          const st = fs.statSync(path.join(dataDir, name));
+          return { key: name.slice(0, -5), size: st.size, modified: st.mtime };
+        });
+    },
+    // External edits (someone replacing roster.json by hand) still show up
+    watch(key, cb) {
+      fs.watchFile(fileFor(key), { interval: 5000 }, cb);
+    },
+    // Audit journal: one JSON event per line, only ever appended to
+    appendEvent(event) {
+      fs.appendFileSync(path.join(dataDir, 'audit.jsonl'), JSON.stringify(event) + '\n');
+    },
+    readEvents() {
+      const p = path.join(dataDir, 'audit.jsonl');
+      if (!fs.existsSync(p)) return [];
+      return fs.readFileSync(p, 'utf8').split('\n')
+        .filter(line => line.trim())
+        .map(line => { try { return JSON.parse(line); } catch { return null; } })
+        .filter(Boolean);
+    }
+  };
+}
+
+// ---------- SQLite ----------
+function createSqliteBackend({ file, dataDir }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch {
+    throw new Error('STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)');
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.exec(`CREATE TABLE IF NOT EXISTS documents (
+    key        TEXT PRIMARY KEY,
+    body       TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+
+  const qGet    = db.prepare('SELECT body FROM documents WHERE key = ?');
+  const qHas    = db.prepare('SELECT 1 FROM documents WHERE key = ?');
+  const qPut    = db.prepare(`INSERT INTO documents (key, body, updated_at) VALUES (?, ?, ?)
+                              ON CONFLICT(key) DO UPDATE SET body = excluded.body, updated_at = excluded.updated_at`);
+  const qDelete = db.prepare('DELETE FROM documents WHERE key = ?');
+  const qList   = db.prepare('SELECT key, length(body) AS size, updated_at FROM documents ORDER BY key');
+
+  db.exec(`CREATE TABLE IF NOT EXISTS audit (
+    id    INTEGER PRIMARY KEY AUTOINCREMENT,
+    at    TEXT NOT NULL,
+    body  TEXT NOT NULL
+  )`);
+  const qAppend = db.prepare('INSERT INTO audit (at, body) VALUES (?, ?)');
+  const qEvents = db.prepare('SELECT body FROM audit ORDER BY id');
+
+  return {
+    kind: 'sqlite',
+    db,
+    // Locks are per key; reuse the JSON file name so both backends queue the same way
+    lockPath: key => path.join(dataDir, `${assertKey(key)}.json`),
+    has: key => !!qHas.get(assertKey(key)),
+    readText(key) {
+      const row = qGet.get(assertKey(key));
+      return row ? row.body : null;
+    },
+    writeText: (key, text) => { qPut.run(assertKey(key), text, new Date().toISOString()); },
+    remove: key => { qDelete.run(assertKey(key)); },
+    list: () => qList.all().map(r => ({ key: r.key, size: r.size, modified: new Date(r.updated_at) })),
+    watch() { /* all writes go through this process */ },
+    appendEvent: event => { qAppend.run(event.at, JSON.stringify(event)); },
+    readEvents: () => qEvents.all().map(r => JSON.parse(r.body))
+  };
+}
+
+/**
+ * createRepository({ backend, dataDir, backupDir, sqlitePath, validate })
+ * Returns generic document access (get/put/update/remove/list) plus named
+ * collections: repo.roster.get(), repo.games.get(week), repo.picks.update(week, ...), ...
+ * validate(key, value) runs before every put() and throws to reject the write.
+ */
+function createRepository({ backend = 'json', dataDir, backupDir, sqlitePath, validate } = {}) {
+  const docs = backend === 'sqlite'
+    ? createSqliteBackend({ file: sqlitePath || path.join(dataDir, 'pickem.db'), dataDir })
+    : createJsonBackend({ dataDir });
+  const events = new EventEmitter();
+
+  function getText(key) {
+    return docs.readText(key);
+  }
+
+  // Parsed document, or `fallback` when missing/unreadable
+  function get(key, fallback = null) {
+    const text = docs.readText(key);
+    if (text == null || !text.trim()) return fallback;
+    try { return JSON.parse(text); }
+    catch {
+      console.warn(`⚠️ [repo] ${key} is not valid JSON`);
+      return fallback;
+    }
+  }
+
+  function backup(key) {
+    if (!backupDir || !docs.has(key)) return null;
+    try {
+      const dest = path.join(backupDir, `${Date.now()}_${key}.json`);
+      fs.writeFileSync(dest, docs.readText(key));
+      return dest;
+    } catch {
+      return null; // ignore backup errors
+    }
+  }
+
+  // Backups on disk: <timestamp>_<key>.json, plus the RAW_/verify_report_ extras
+  // written by the scores upload. Newest first.
+  function listBackups() {
+    if (!backupDir || !fs.existsSync(backupDir)) return [];
+    return fs.readdirSync(backupDir)
+      .map(name => {
+        const m = name.match(BACKUP_RE);
+        if (!m) return null;
+        const raw = m[2].startsWith('RAW_');
+        const key = raw ? m[2].slice(4) : m[2];
+        const st = fs.statSync(path.join(backupDir, name));
+        return {
+          id: name,
+          key,
+          createdAt: new Date(Number(m[1])).toISOString(),
+          size: st.size,
+          raw,
+          restorable: !raw && !key.startsWith('verify_report_')
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => b.id.localeCompare(a.id, undefined, { numeric: true }));
+  }
+
+  // Every .json file in backupDir, whatever its naming
+  function listBackupFiles() {
+    if (!backupDir || !fs.existsSync(backupDir)) return [];
+    return fs.readdirSync(backupDir).filter(name => BACKUP_FILE_RE.test(name));
+  }
+
+  // Parsed backup by file name (null when missing)
+  function readBackup(id) {
+    if (!backupDir || !BACKUP_FILE_RE.test(String(id || ''))) return null;
+    const p = path.join(backupDir, id);
+    if (!fs.existsSync(p)) return null;
+    return JSON.parse(fs.readFileSync(p, 'utf8').replace(/^\uFEFF/, ''));
+  }
+
+  // Rewrite a backup in place (used to scrub secrets out of old copies)
+  function writeBackup(id, value) {
+    if (!backupDir || !BACKUP_FILE_RE.test(String(id || ''))) return false;
+    dataStore.writeFileAtomic(path.join(backupDir, id), JSON.stringify(value, null, 2));
+    return true;
+  }
+
+  function removeBackup(id) {
+    if (!backupDir || !BACKUP_RE.test(String(id || ''))) return false;
+    try { fs.unlinkSync(path.join(backupDir, id)); return true; }
+    catch { return false; }
+  }
+
+  function put(key, value, { backup: keepBackup = false } = {}) {
+    if (validate) validate(key, value);
+    if (keepBackup) backup(key);
+    docs.writeText(key, JSON.stringify(value, null, 2));
+    events.emit('change', key);
+  }
+
+  // Serialized read-modify-write; mutate() may return dataStore.SKIP.
+  // Unlike get(), a corrupt document throws instead of being replaced.
+  function update(key, fallback, mutate, opts = {}) {
+    return dataStore.withFileLock(docs.lockPath(key), async () => {
+      const text = docs.readText(key);
+      const current = text == null || !text.trim() ? fallback : JSON.parse(text);
+      const next = await mutate(current);
+      if (next === dataStore.SKIP) return current;
+      put(key, next, opts);
+      return next;
+    });
+  }
+
+  // Raw text as-is (rules.json may be plain text); importer uses this
+  function putText(key, text) {
+    docs.writeText(key, String(text));
+    events.emit('change', key);
+  }
+
+  function remove(key) {
+    docs.remove(key);
+    events.emit('change', key);
+  }
+
+  function listWeeks(kind) {
+    const re = new RegExp(`^${kind}_week_(\\d+)$`);
+    return docs.list()
+      .map(d => d.key.match(re))
+      .filter(Boolean)
+      .map(m => Number(m[1]))
+      .sort((a, b) => a - b);
+  }
+
+  // Append-only journal of state changes (see appendAudit in server.js)
+  function appendEvent(event) {
+    docs.appendEvent({ at: new Date().toISOString(), ...event });
+  }
+
+  // Events oldest first, filtered by { action, actor, week, since, until }
+  function readEvents({ action, actor, week, since, until } = {}) {
+    return docs.readEvents().filter(e =>
+      (!action || e.action === action || String(e.action || '').startsWith(`${action}.`)) &&
+      (!actor || String(e.actor || '').toLowerCase() === String(actor).toLowerCase()) &&
+      (week == null || Number(e.week) === Number(week)) &&
+      (!since || e.at >= since) &&
+      (!until || e.at <= until));
+  }
+
+  function onChange(key, cb) {
+    events.on('change', k => { if (k === key) cb(k); });
+    docs.watch(key, () => cb(key));
+  }
+
+  // Every write made through this repository (any key); no file watching
+  function onAnyChange(cb) {
+    events.on('change', cb);
+  }
+
+  const single = key => ({
+    key,
+    get: (fallback = null) => get(key, fallback),
+    has: () => docs.has(key),
+    save: (value, opts) => put(key, value, opts),
+    update: (fallback, mutate, opts) => update(key, fallback, mutate, opts)
+  });
+
+  const weekly = kind => ({
+    key: week => `${kind}_week_${week}`,
+    get: (week, fallback = null) => get(`${kind}_week_${week}`, fallback),
+    has: week => docs.has(`${kind}_week_${week}`),
+    save: (week, value, opts) => put(`${kind}_week_${week}`, value, opts),
+    update: (week, fallback, mutate, opts) => update(`${kind}_week_${week}`, fallback, mutate, opts),
+    remove: week => remove(`${kind}_week_${week}`),
+    weeks: () => listWeeks(kind)
+  });
+
+  return {
+    backend: docs.kind,
+    db: docs.db,
+    isValidKey: key => KEY_RE.test(String(key || '')),
+    has: key => docs.has(key),
+    get, getText, put, putText, update, remove, backup, onChange, onAnyChange, listWeeks,
+    listBackups, listBackupFiles, readBackup, writeBackup, removeBackup, appendEvent, readEvents,
+    list: () => docs.list(),
+
+    roster:          single('roster'),
+    admins:          single('admins'),
+    chat:            single('chat'),
+    settings:        single('app_settings'),
+    currentWeek:     single('current_week'),
+    totals:          single('totals'),
+    standings:       single('standings'),
+    pot:             single('pot'),
+    rules:           single('rules'),
+    tiebreakers:     single('tiebreakers'),
+    lateGrants:      single('late_grants'),
+    teamNameMap:     single('team_name_map'),
+
+    games:           weekly('games'),
+    scores:          weekly('scores'),
+    picks:           weekly('picks'),
+    winners:         weekly('winners'),
+    winnersDetail:   weekly('winners_detail'),
+    declaredWinners: weekly('declaredwinners')
+  };
+}
+
+module.exports = { createRepository };
@@ -0,0 +1,378 @@
+// schemas.js — declared shapes for the data documents, plus canonicalizers
+//
+// validate(kind, value)   -> [] or ['picks[0].player: expected non-empty string', ...]
+// normalize(kind, value)  -> value rewritten into the canonical shape (legacy
+//                            roster rows, mixed score dates, flat pot map, ...)
+// kindForKey('scores_week_3') -> 'scores'
+//
+// Extra fields are allowed everywhere; only declared fields are type-checked.
+
+const { hashPin, isPinHash } = require('./pins');
+const { ROLES: ADMIN_ROLES } = require('./admins');
+const { DAYS, DEFAULT_ZONE, toKickoff } = require('./gameTime');
+
+const GAME_STATUSES = ['scheduled', 'final', 'cancelled', 'postponed'];
+
+class SchemaError extends Error {
+  constructor(key, errors) {
+    super(`${key} failed validation: ${errors.slice(0, 3).join('; ')}${errors.length > 3 ? ` (+${errors.length - 3} more)` : ''}`);
+    this.name = 'SchemaError';
+    this.key = key;
+    this.errors = errors;
+  }
+}
+
+// ---------- Spec helpers ----------
+const str      = { type: 'string' };
+const nonEmpty = { type: 'string', nonEmpty: true };
+const num      = { type: 'number' };
+const bool     = { type: 'boolean' };
+const int      = (min = -Infinity) => ({ type: 'integer', min });
+const oneOf    = values => ({ type: 'enum', values });
+const opt      = spec => ({ ...spec, optional: true });
+const nullable = spec => ({ ...spec, nullable: true });
+const arrayOf  = items => ({ type: 'array', items });
+const mapOf    = values => ({ type: 'map', values });
+const object   = fields => ({ type: 'object', fields });
+const any      = { type: 'any' };
+const absent   = { type: 'absent', optional: true }; // field must never be stored
+
+function check(spec, value, at, errors) {
+  if (errors.length >= 50) return;
+  if (value === undefined) {
+    if (!spec.optional) errors.push(`${at}: required`);
+    return;
+  }
+  if (value === null) {
+    if (!spec.nullable && spec.type !== 'any' && spec.type !== 'absent') errors.push(`${at}: expected ${spec.type === 'integer' ? 'whole number' : spec.type}, got null`);
+    return;
+  }
+  switch (spec.type) {
+    case 'any': return;
+    case 'absent':
+      errors.push(`${at}: must not be stored`);
+      return;
+    case 'string':
+      if (typeof value !== 'string') return void errors.push(`${at}: expected string`);
+      if (spec.nonEmpty && !value.trim()) errors.push(`${at}: expected non-empty string`);
+      return;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) errors.push(`${at}: expected number`);
+      return;
+    case 'integer':
+      if (!Number.isInteger(value)) return void errors.push(`${at}: expected whole number`);
+      if (value < spec.min) errors.push(`${at}: must be >= ${spec.min}`);
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${at}: expected true/false`);
+      return;
+    case 'enum':
+      if (!spec.values.includes(value)) errors.push(`${at}: must be one of ${spec.values.join(', ')}`);
+      return;
+    case 'array':
+      if (!Array.isArray(value)) return void errors.push(`${at}: expected array`);
+      value.forEach((v, i) => check(spec.items, v, `${at}[${i}]`, errors));
+      return;
+    case 'map':
+      if (typeof value !== 'object' || Array.isArray(value)) return void errors.push(`${at}: expected object`);
+      for (const [k, v] of Object.entries(value)) check(spec.values, v, `${at}.${k}`, errors);
+      return;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return void errors.push(`${at}: expected object`);
+      for (const [k, f] of Object.entries(spec.fields)) check(f, value[k], `${at}.${k}`, errors);
+      return;
+    default:
+      errors.push(`${at}: unknown schema type ${spec.type}`);
+  }
+}
+
+// ---------- Schemas ----------
+// One pick on a card: the game (id, or legacy index) and the team taken
+const PICK = object({
+  gameId: opt(nullable(nonEmpty)),
+  gameIndex: opt(nullable(int(0))),
+  pick: nonEmpty
+});
+
+const SCHEMAS = {
+  games: arrayOf(object({
+    id: opt(nonEmpty),
+    date: str,
+    kickoffUTC: opt(nullable(str)), // see gameTime.js
+    timezone: opt(str),
+    team1: nonEmpty,
+    team2: nonEmpty,
+    spread1: num,
+    spread2: num,
+    status: opt(oneOf(GAME_STATUSES)),
+    statusReason: opt(str)
+  })),
+
+  // score null = not played / not reported yet
+  scores: arrayOf(object({
+    gameId: opt(nullable(nonEmpty)),
+    date: opt(str),
+    team1: nonEmpty,
+    team2: nonEmpty,
+    score1: nullable(num),
+    score2: nullable(num),
+    status: opt(oneOf(GAME_STATUSES)),
+    statusReason: opt(str)
+  })),
+
+  // Top-level picks are the card that counts; earlier cards amended before the lock
+  // are kept in revisions (oldest first)
+  picks: arrayOf(object({
+    player: nonEmpty,
+    playerId: opt(nonEmpty),
+    pin: absent,
+    week: opt(int(1)),
+    submittedAt: opt(str),
+    lateGrantId: opt(nonEmpty),   // set when submitted under a late-submission grant
+    picks: arrayOf(PICK),
+    revisions: opt(arrayOf(object({
+      submittedAt: opt(str),
+      lateGrantId: opt(nonEmpty),
+      picks: arrayOf(PICK)
+    })))
+  })),
+
+  // pinHash from pins.js ('' = no PIN set, cannot log in); never a plain pin
+  roster: arrayOf(object({
+    id: opt(nonEmpty),
+    name: nonEmpty,
+    aliases: opt(arrayOf(nonEmpty)),
+    pinHash: str,
+    pin: absent,
+    mustChangePin: opt(bool), // temporary PIN from an admin reset
+    pinChangedAt: opt(str),
+    Balance: opt(num)
+  })),
+
+  // Admin accounts (admins.js); passwordHash uses the pins.js format
+  admins: arrayOf(object({
+    username: nonEmpty,
+    role: oneOf(ADMIN_ROLES),
+    passwordHash: nonEmpty,
+    createdAt: opt(str)
+  })),
+
+  winners: arrayOf(object({
+    player: nonEmpty,
+    playerId: opt(nonEmpty),
+    correct: arrayOf(str),
+    total: num,
+    pushes: opt(arrayOf(str)),
+    pushPoints: opt(num),
+    pushPolicy: opt(oneOf(['loss', 'win', 'half'])),
+    voided: opt(arrayOf(any))
+  })),
+
+  totals: mapOf(num),
+
+  // Late-submission exceptions granted by the commissioner
+  lateGrants: object({
+    grants: arrayOf(object({
+      id: nonEmpty,
+      playerId: nonEmpty,
+      player: nonEmpty,
+      week: int(1),
+      expiresAt: nonEmpty,
+      unstartedOnly: bool,
+      grantedBy: str,
+      grantedAt: str,
+      revokedAt: opt(str),
+      uses: opt(arrayOf(object({ at: str, picks: int(0) })))
+    }))
+  }),
+
+  pot: object({
+    adjustments: mapOf(num),
+    weeks: arrayOf(object({
+      week: int(1),
+      status: oneOf(['pending', 'won', 'rolled_over']),
+      total: num,
+      winners: arrayOf(object({ player: nonEmpty, total: num }))
+    })),
+    updatedAt: opt(str)
+  }),
+
+  settings: object({
+    picksVisibilityMode: opt(oneOf(['on', 'off', 'auto'])),
+    entryFee: opt(num),
+    potWinThreshold: opt(int(1)),
+    pushPolicy: opt(oneOf(['loss', 'win', 'half'])),
+    requiredPicks: opt(int(1)),
+    lockMode: opt(oneOf(['global', 'kickoff'])),
+    cutoff: opt(object({ day: oneOf(DAYS), time: nonEmpty, timezone: nonEmpty })),
+    backupRetention: opt(object({
+      keepLast: opt(int(1)),
+      keepDailyDays: opt(int(0)),
+      pruneIntervalHours: opt(int(1))
+    }))
+  })
+};
+
+function kindForKey(key) {
+  const k = String(key || '');
+  if (k === 'app_settings') return 'settings';
+  if (['roster', 'totals', 'pot', 'admins'].includes(k)) return k;
+  if (k === 'late_grants') return 'lateGrants';
+  const m = k.match(/^(games|scores|picks|winners)_week_\d+$/);
+  return m ? m[1] : null;
+}
+
+function validate(kind, value) {
+  const spec = SCHEMAS[kind];
+  if (!spec) return [];
+  const errors = [];
+  check(spec, value, kind, errors);
+  return errors;
+}
+
+// Throws SchemaError for a document key with a declared schema (repository hook)
+function assertValidDoc(key, value) {
+  const kind = kindForKey(key);
+  if (!kind) return;
+  const errors = validate(kind, value);
+  if (errors.length) throw new SchemaError(key, errors);
+}
+
+// ---------- Canonicalizers ----------
+const toNumber = v => {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+  if (v == null || String(v).trim() === '') return null;
+  const n = Number(String(v).replace(/[$,]/g, '').trim());
+  return Number.isFinite(n) ? n : null;
+};
+
+// "09/07/2025 12:00 PM", "Thu 2025-08-28 4:30 PM" -> "2025-08-28 4:30 PM"
+// Anything unrecognized is returned unchanged.
+function canonicalGameDate(raw) {
+  if (typeof raw !== 'string') return raw == null ? '' : String(raw);
+  const s = raw.trim().replace(/^(mon|tue|wed|thu|fri|sat|sun)[a-z]*\.?,?\s+/i, '');
+  const time = (h, m, ap) => `${Number(h)}:${String(m || '00').padStart(2, '0')} ${ap.toUpperCase()}`;
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})\s+(\d{1,2})(?::(\d{2}))?\s*([ap]m)$/i);
+  if (m) return `${m[1]}-${m[2].padStart(2, '0')}-${m[3].padStart(2, '0')} ${time(m[4], m[5], m[6])}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\s+(\d{1,2})(?::(\d{2}))?\s*([ap]m)$/i);
+  if (m) return `${m[3]}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')} ${time(m[4], m[5], m[6])}`;
+  return raw;
+}
+
+// A plain PIN on the row (upload, hand edit, legacy file) replaces the stored hash
+function normalizeRosterRow(row) {
+  if (typeof row === 'string') return row.trim() ? { name: row.trim(), pinHash: '' } : null;
+  if (!row || typeof row !== 'object') return null;
+  const name = String(row.name ?? row.gameName ?? row.game_name ?? row['Game Name'] ?? row.player ?? '').trim();
+  if (!name) return null;
+  const pin = String(row.pin ?? row.PIN ?? row.pin_code ?? row.passcode ?? '').trim();
+  const pinHash = pin ? hashPin(pin) : (isPinHash(row.pinHash) ? row.pinHash : '');
+  const out = { ...row, name, pinHash };
+  for (const k of ['gameName', 'game_name', 'Game Name', 'pin', 'PIN', 'pin_code', 'passcode']) delete out[k];
+  if (row.Balance != null || row.balance != null) {
+    out.Balance = toNumber(row.Balance ?? row.balance) ?? 0;
+    delete out.balance;
+  }
+  return out;
+}
+
+const NORMALIZERS = {
+  roster(value) {
+    const rows = Array.isArray(value) ? value : Object.values(value || {});
+    return rows.map(normalizeRosterRow).filter(Boolean);
+  },
+
+  // kickoffUTC/timezone follow the date string; `zone` is the league zone for new rows
+  games(value, { zone = DEFAULT_ZONE } = {}) {
+    return (Array.isArray(value) ? value : []).map(g => {
+      const date = canonicalGameDate(g?.date);
+      const kickoff = toKickoff(date, g?.timezone || zone);
+      return {
+        ...g,
+        date,
+        ...(kickoff || { kickoffUTC: g?.kickoffUTC ?? null }),
+        spread1: toNumber(g?.spread1),
+        spread2: toNumber(g?.spread2)
+      };
+    });
+  },
+
+  scores(value) {
+    return (Array.isArray(value) ? value : []).map(s => ({
+      ...s,
+      date: canonicalGameDate(s?.date),
+      score1: toNumber(s?.score1),
+      score2: toNumber(s?.score2)
+    }));
+  },
+
+  // PINs never belong in picks files (older submissions stored them)
+  picks(value) {
+    return (Array.isArray(value) ? value : []).map(({ pin, PIN, ...entry }) => ({
+      ...entry,
+      ...(entry?.week != null ? { week: Number(entry.week) } : {}),
+      picks: (entry?.picks || []).map(p => (typeof p === 'string'
+        ? { gameIndex: null, pick: p }
+        : { ...p, gameIndex: p?.gameIndex == null ? null : Number(p.gameIndex) }))
+    }));
+  },
+
+  totals(value) {
+    const out = {};
+    for (const [player, pts] of Object.entries(value || {})) out[player] = toNumber(pts) ?? 0;
+    return out;
+  },
+
+  // Legacy pot.json was a flat { "1": 30 } map of manual adjustments
+  pot(value) {
+    const j = value && typeof value === 'object' ? value : {};
+    const legacy = !('adjustments' in j) && !('weeks' in j);
+    const adjustments = {};
+    for (const [w, amt] of Object.entries(legacy ? j : (j.adjustments || {}))) {
+      const n = toNumber(amt);
+      if (n != null) adjustments[w] = n;
+    }
+    return { ...(legacy ? {} : j), adjustments, weeks: Array.isArray(j.weeks) ? j.weeks : [] };
+  },
+
+  settings(value) {
+    const s = { ...(value && typeof value === 'object' ? value : {}) };
+    if (s.mode != null && s.picksVisibilityMode == null) s.picksVisibilityMode = String(s.mode).toLowerCase();
+    delete s.mode;
+    for (const k of ['entryFee', 'potWinThreshold', 'requiredPicks']) {
+      if (s[k] != null) s[k] = toNumber(s[k]) ?? s[k];
+    }
+    if (typeof s.pushPolicy === 'string') s.pushPolicy = s.pushPolicy.toLowerCase();
+    return s;
+  }
+};
+
+// A scores row with both scores filled in; null/blank means the game hasn't been played
+function hasBothScores(row) {
+  return toNumber(row?.score1) != null && toNumber(row?.score2) != null;
+}
+
+// True when a roster still carries plain PINs (hand-edited or legacy file)
+function rosterHasPlainPins(value) {
+  const rows = Array.isArray(value) ? value : Object.values(value || {});
+  return rows.some(r => typeof r === 'string' ||
+    (r && ['pin', 'PIN', 'pin_code', 'passcode'].some(k => r[k] != null && String(r[k]).trim() !== '')));
+}
+
+function normalize(kind, value, opts) {
+  const fn = NORMALIZERS[kind];
+  return fn ? fn(value, opts) : value;
+}
+
+module.exports = {
+  GAME_STATUSES,
+  SchemaError,
+  SCHEMAS,
+  kindForKey,
+  validate,
+  assertValidDoc,
+  normalize,
+  rosterHasPlainPins,
+  hasBothScores,
+  canonicalGameDate
+};
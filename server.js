@@ -38,7 +38,19 @@ const cors = require('cors');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const xlsx = require('xlsx');
+const dataStore = require('./storage');
+const { createRepository } = require('./repository');
+const schemas = require('./schemas');
+const { hashPin } = require('./pins');
+const sessions = require('./sessions');
+const identity = require('./identity');
+const admins = require('./admins');
+const { createLoginGuard } = require('./loginGuard');
+const gameTime = require('./gameTime');
+const { createRealtime } = require('./realtime');
+const { runMigrations, LATEST_VERSION } = require('./migrations');
 
 // ---------- Normalize env paths ASAP ----------
 const sanitizeEnvPath = (v, dflt) =>
@@ -57,6 +69,14 @@ console.log('[ENV NORMALIZED]', {
 // (next line in your file)
 const app = express();
 
+// ---------- Proxy trust ----------
+// TRUST_PROXY = number of reverse proxies in front of the app (1 behind a hosting
+// load balancer). Only their X-Forwarded-For entries are believed; 0 (default) uses
+// the socket address.
+const TRUST_PROXY_HOPS = Math.max(parseInt(process.env.TRUST_PROXY, 10) || 0, 0);
+app.set('trust proxy', TRUST_PROXY_HOPS);
+console.log('[TRUST PROXY] hops:', TRUST_PROXY_HOPS);
+
 // ---------- CORS ----------
 const originsEnv = (process.env.CORS_ORIGIN || '')
   .split(',')
@@ -80,60 +100,191 @@ app.use((req, res, next) => {
   if (req.path.startsWith('/api/authenticate')) return next();
   return express.json()(req, res, next);
 });
-// === STEP 1: Roster gate (Game Name + PIN; CASE-SENSITIVE name) ==========
-const DATA_DIR_SAFE = (process.env.DATA_DIR ? process.env.DATA_DIR.trim() : path.join(__dirname, 'data'));
-const ROSTER_FILE = path.join(DATA_DIR_SAFE, 'roster.json');
+// ---------- Directories ----------
+const dataDirRaw   = (process.env.DATA_DIR   || './data').replace(/\r?\n/g, '').trim();
+const backupDirRaw = (process.env.BACKUP_DIR || 'backups').replace(/\r?\n/g, '').trim();
+
+const dataDir   = path.isAbsolute(dataDirRaw) ? dataDirRaw : path.join(__dirname, dataDirRaw);
+const backupDir = path.isAbsolute(backupDirRaw) ? backupDirRaw : path.join(dataDir, backupDirRaw);
+const uploadDir = path.join(__dirname, 'uploads');
+
+// Ensure needed folders exist
+for (const d of [uploadDir, dataDir, backupDir]) {
+  if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
+}
+
+// ---------- Repository (STORAGE_BACKEND=json|sqlite) ----------
+const repo = createRepository({
+  backend: String(process.env.STORAGE_BACKEND || 'json').trim().toLowerCase(),
+  dataDir,
+  backupDir,
+  sqlitePath: (process.env.SQLITE_PATH || '').trim() || undefined,
+  validate: schemas.assertValidDoc // every write must match its declared schema
+});
+console.log('[repo] backend:', repo.backend);
+
+// Bring older data up to the current schema version (no-op once applied)
+let standingsStale = false; // a migration rewrote results/totals -> rebuild standings at startup
+try {
+  const m = runMigrations(repo);
+  for (const a of m.applied) {
+    if (a.changed.some(k => k === 'totals' || /^winners_week_\d+$/.test(k))) standingsStale = true;
+    console.log(`🧬 Schema v${a.version}: ${a.changed.length} document(s) upgraded`);
+    for (const p of a.problems) console.warn(`⚠️ ${p.key} does not match its schema: ${p.errors.slice(0, 3).join('; ')}`);
+  }
+} catch (e) {
+  console.warn(`⚠️ Schema migration to v${LATEST_VERSION} failed:`, e?.message);
+}
 
+// === STEP 1: Roster gate (Game Name or alias + PIN; see identity.js) ======
 function safeReadJSON(p) {
   try { return JSON.parse(fs.readFileSync(p, 'utf8')); }
   catch { return null; }
 }
 
-function buildRosterIndex(rosterRaw) {
-  const index = new Map();
-  if (!rosterRaw) return index;
-  const rows = Array.isArray(rosterRaw) ? rosterRaw : Object.values(rosterRaw);
-  for (const row of rows) {
-    if (!row) continue;
-    const name = (row.gameName ?? row.game_name ?? row.name ?? row['Game Name'] ?? '').toString().trim();
-    const pin  = (row.pin ?? row.PIN ?? row.pin_code ?? row['PIN'] ?? '').toString().trim();
-    if (name) index.set(name, pin);
-  }
-  return index;
+// A hand-edited roster.json with plain PINs or rows without a player id is
+// re-saved straight away: PINs hashed, ids assigned (see identity.js).
+// No backup — that copy would keep the plain PINs.
+function canonicalizeRosterIfNeeded() {
+  const roster = repo.roster.get();
+  if (!Array.isArray(roster)) return false;
+  const needsIds = roster.some(r => !r || typeof r !== 'object' || !r.id || !Array.isArray(r.aliases));
+  if (!needsIds && !schemas.rosterHasPlainPins(roster)) return false;
+  repo.roster.save(identity.assignPlayerIds(schemas.normalize('roster', roster), roster));
+  console.log('🔐 Roster PINs hashed / player ids assigned');
+  return true;
 }
 
-let rosterIndex = buildRosterIndex(safeReadJSON(ROSTER_FILE));
-console.log('[roster] loaded:', ROSTER_FILE, 'entries:', rosterIndex.size);
+canonicalizeRosterIfNeeded();
+// Player directory: every route resolves names/aliases/ids through this
+let players = identity.buildDirectory(repo.roster.get());
+console.log('[roster] loaded:', repo.roster.key, 'entries:', players.size);
 
-// Auto-reload when roster.json changes
-fs.watchFile(ROSTER_FILE, { interval: 5000 }, () => {
-  rosterIndex = buildRosterIndex(safeReadJSON(ROSTER_FILE));
-  console.log('[roster] reloaded:', ROSTER_FILE, 'entries:', rosterIndex.size);
+// Auto-reload when the roster changes
+repo.onChange(repo.roster.key, () => {
+  if (canonicalizeRosterIfNeeded()) return; // the re-save triggers another reload
+  players = identity.buildDirectory(repo.roster.get());
+  console.log('[roster] reloaded:', repo.roster.key, 'entries:', players.size);
 });
 
-function authenticatePlayerExact(nameInput, pinInput) {
-  const name = (nameInput ?? '').toString();        // CASE-SENSITIVE compare
-  const pin  = (pinInput  ?? '').toString().trim(); // PIN exact match
-  if (!name || !pin) return false;
-  const expected = rosterIndex.get(name.trim());
-  return expected !== undefined && expected.toString().trim() === pin;
+// Sign-in throttling (see loginGuard.js): every PIN/password check goes through here
+const loginGuard = createLoginGuard();
+
+// Failures count per player (any alias) or per admin username
+const playerTarget = name => `player:${players.resolve(name)?.id || identity.nameKey(name)}`;
+
+// Answers 429 (with Retry-After) when this IP or target is limited; true if it did
+function rejectIfThrottled(req, res, target) {
+  const verdict = loginGuard.check(clientIp(req), target);
+  if (verdict.ok) return false;
+  res.set('Retry-After', String(verdict.retryAfter));
+  res.status(429).json({
+    ok: false,
+    error: verdict.reason === 'locked'
+      ? 'Too many failed attempts. Try again later.'
+      : 'Too many sign-in attempts. Please slow down.',
+    locked: verdict.reason === 'locked',
+    retryAfter: verdict.retryAfter
+  });
+  return true;
+}
+
+function noteSignInFailure(req, target, label) {
+  const locked = loginGuard.recordFailure(clientIp(req), target, label);
+  audit(req, 'auth.failed', { actor: label || 'unknown', summary: `Failed sign-in for ${label || '(no name)'}` });
+  for (const scope of locked) {
+    audit(req, 'auth.lockout', {
+      actor: label || 'unknown',
+      summary: `${scope === 'ip' ? `IP ${clientIp(req)}` : label} locked out for ${loginGuard.lockoutMinutes} min`,
+      scope
+    });
+  }
+}
+
+// Session token for a roster player (see sessions.js); sub is the stable player id
+function issuePlayerSession(player) {
+  return sessions.createToken({ sub: player.id, name: player.name, role: 'player' });
+}
+
+// Player behind a session token, or null (expired, bad signature, removed from
+// roster, or issued before the player's last PIN change/reset)
+function playerFromToken(token) {
+  const claims = sessions.verifyToken(token);
+  if (!claims || claims.role !== 'player') return null;
+  const player = players.byId(claims.sub);
+  if (!player) return null;
+  const changed = Date.parse(player.row.pinChangedAt || '');
+  if (Number.isFinite(changed) && claims.iat < Math.floor(changed / 1000)) return null;
+  return { player, claims };
+}
+
+// Does a stored row (picks entry, result) belong to this player? By id, name or alias.
+function isEntryOf(entry, player) {
+  return !!player && players.resolve(entry?.playerId || entry?.player)?.id === player.id;
+}
+
+// Middleware for player actions (picks, chat, tiebreaker).
+// Authorization: Bearer <token> from /api/authenticate is required.
+// ALLOW_BODY_PIN=1 is a temporary compatibility switch for clients that still send
+// name + PIN in the body: off by default, announced at startup, and every use is logged.
+// Sets req.player = { id, name } with the roster display name.
+// A player holding a temporary PIN (admin reset) can only change it until they do.
+const ALLOW_BODY_PIN = /^(1|true|yes)$/i.test(String(process.env.ALLOW_BODY_PIN || '').trim());
+if (ALLOW_BODY_PIN) console.warn('⚠️ ALLOW_BODY_PIN is on: name + PIN in request bodies is accepted in place of a session');
+
+function requirePlayerSession(req, res, next) {
+  return checkPlayer(req, res, next, { allowPendingPinChange: false });
+}
+
+function requirePlayerSessionForPinChange(req, res, next) {
+  return checkPlayer(req, res, next, { allowPendingPinChange: true });
+}
+
+function mustChangePinFirst(res, player) {
+  return res.status(403).json({
+    ok: false,
+    mustChangePin: true,
+    name: player.name,
+    error: 'Your PIN was reset. Choose a new PIN before continuing.'
+  });
 }
 
-// Middleware to guard pick submissions
-function requireValidPlayer(req, res, next) {
+function checkPlayer(req, res, next, { allowPendingPinChange }) {
+  if (!players.size) {
+    return res.status(503).json({ ok: false, error: 'Roster unavailable' });
+  }
+
+  const token = sessions.tokenFromRequest(req);
+  if (token) {
+    const found = playerFromToken(token);
+    if (!found) {
+      return res.status(401).json({ ok: false, error: 'Session expired or invalid. Please sign in again.', sessionExpired: true });
+    }
+    if (found.player.row.mustChangePin && !allowPendingPinChange) return mustChangePinFirst(res, found.player);
+    req.player = { id: found.player.id, name: found.player.name, via: 'session' };
+    return next();
+  }
+
   const src = req.body || {};
   const name =
     (src.name ?? src.gameName ?? src.game_name ?? src.player ?? src.playerName ?? '').toString();
   const pin  =
     (src.pin  ?? src.PIN      ?? src.pin_code ?? src.password ?? '').toString();
-
-  if (!rosterIndex.size) {
-    return res.status(503).json({ ok: false, error: 'Roster unavailable' });
+  if (!ALLOW_BODY_PIN || (!name.trim() && !pin.trim())) {
+    return res.status(401).json({ ok: false, error: 'Sign in required.' });
   }
-  if (!authenticatePlayerExact(name, pin)) {
-    return res.status(401).json({ ok: false, error: 'Invalid Game Name or PIN (check spelling/case).' });
+  const target = playerTarget(name);
+  if (rejectIfThrottled(req, res, target)) return;
+  const player = players.authenticate(name, pin);
+  if (!player) {
+    noteSignInFailure(req, target, name.trim());
+    return res.status(401).json({ ok: false, error: 'Invalid Game Name or PIN.' });
   }
-  req.player = { name, pin }; // available to downstream handlers
+  loginGuard.recordSuccess(clientIp(req), target);
+  if (player.row.mustChangePin && !allowPendingPinChange) return mustChangePinFirst(res, player);
+  console.warn(`⚠️ Body PIN sign-in (ALLOW_BODY_PIN) for ${player.name} on ${req.method} ${req.path}`);
+  audit(req, 'auth.body_pin', { actor: player.name, summary: `Name + PIN in body accepted on ${req.method} ${req.path}` });
+  req.player = { id: player.id, name: player.name, via: 'pin' }; // the PIN is not passed on
   return next();
 }
 // === END STEP 1 ===========================================================
@@ -175,96 +326,109 @@ function canonicalName(raw) {
 }
 // ========================================================================
 
-// ---------- Directories ----------
-const dataDirRaw   = (process.env.DATA_DIR   || './data').replace(/\r?\n/g, '').trim();
-const backupDirRaw = (process.env.BACKUP_DIR || 'backups').replace(/\r?\n/g, '').trim();
-
-const dataDir   = path.isAbsolute(dataDirRaw) ? dataDirRaw : path.join(__dirname, dataDirRaw);
-const backupDir = path.isAbsolute(backupDirRaw) ? backupDirRaw : path.join(dataDir, backupDirRaw);
-const uploadDir = path.join(__dirname, 'uploads');
-
-// Ensure needed folders exist
-for (const d of [uploadDir, dataDir, backupDir]) {
-  if (!fs.existsSync(d)) fs.mkdirSync(d, { recursive: true });
-}
-
 // ---------- Picks Cutoff (Thu 1:00 PM CT) + Reveal Picks After Cutoff ----------
 
-// Parse "YYYY-MM-DD hh:mm AM/PM" in local time (Render has TZ=America/Chicago)
-function parseGameDate(str) {
-  if (!str) return null;
-  const m = String(str).trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:\s+(\d{1,2}):(\d{2})\s*([AP]M))?$/i);
-  if (!m) return null;
-  const [, y, mm, dd, hh, min, ampm] = m;
-  let H = hh ? parseInt(hh, 10) : 0;
-  const M = min ? parseInt(min, 10) : 0;
-  if (ampm) {
-    const up = ampm.toUpperCase();
-    if (up === 'PM' && H < 12) H += 12;
-    if (up === 'AM' && H === 12) H = 0;
+// Kickoff of a game row: stored kickoffUTC, else its date read in the row's/league zone
+function kickoffOf(game) {
+  if (game?.kickoffUTC) {
+    const d = new Date(game.kickoffUTC);
+    if (!Number.isNaN(d.getTime())) return d;
   }
-  return new Date(parseInt(y,10), parseInt(mm,10)-1, parseInt(dd,10), H, M, 0);
+  return gameTime.parseKickoff(game?.date, game?.timezone || leagueZone());
 }
 
 // Read current week
 function getCurrentWeekNumber() {
-  try {
-    const p = path.join(dataDir, 'current_week.json');
-    if (!fs.existsSync(p)) return 1;
-    const j = JSON.parse(fs.readFileSync(p, 'utf8'));
-    return Number(j.currentWeek ?? j.week ?? 1);
-  } catch { return 1; }
+  const j = repo.currentWeek.get();
+  return j ? Number(j.currentWeek ?? j.week ?? 1) || 1 : 1;
 }
 
-// Compute that week’s Thursday @ 1:00 PM CT using earliest game date
+// That week's cutoff (settings.cutoff, default Thursday 1:00 PM America/Chicago)
+// in the week of the earliest kickoff
 function computeCutoffForWeek(weekNum) {
   try {
-    const gpath = path.join(dataDir, `games_week_${weekNum}.json`);
-    if (!fs.existsSync(gpath)) return null;
-    const games = JSON.parse(fs.readFileSync(gpath, 'utf8'));
+    const games = repo.games.get(weekNum);
     if (!Array.isArray(games) || !games.length) return null;
     let earliest = null;
     for (const g of games) {
-      const dt = parseGameDate(g?.date);
+      const dt = kickoffOf(g);
       if (dt && (!earliest || dt < earliest)) earliest = dt;
     }
-    if (!earliest) return null;
-    // JS: 0=Sun..4=Thu
-    const th = new Date(earliest);
-    th.setHours(0,0,0,0);
-    th.setDate(earliest.getDate() + (4 - earliest.getDay()));
-    th.setHours(13,0,0,0); // 1:00 PM
-    return th;
+    return gameTime.computeCutoff(earliest, getCutoffConfig());
   } catch { return null; }
 }
 
+// Lock mode (settings.lockMode):
+//   global  — the whole slate closes at the Thursday cutoff (default)
+//   kickoff — each game closes at its own kickoff; a game without a usable
+//             date falls back to the Thursday cutoff
+const LOCK_MODES = ['global', 'kickoff'];
+
+function getLockMode() {
+  const m = String(readSettings().lockMode || 'global').toLowerCase();
+  return LOCK_MODES.includes(m) ? m : 'global';
+}
+
+// Per-game lock state: [{ gameIndex, gameId, team1, team2, kickoffISO, lockISO, locked }]
+function gameLocks(weekNum, now = new Date()) {
+  const raw = repo.games.get(weekNum);
+  if (!Array.isArray(raw) || !raw.length) return [];
+  const games = assignGameIds(weekNum, raw);
+  const cutoff = computeCutoffForWeek(weekNum);
+  const perGame = getLockMode() === 'kickoff';
+  return games.map((g, gameIndex) => {
+    const kickoff = kickoffOf(g);
+    const lockAt = perGame ? (kickoff || cutoff) : cutoff;
+    return {
+      gameIndex,
+      gameId: g.id ?? null,
+      team1: g.team1,
+      team2: g.team2,
+      kickoffISO: kickoff ? kickoff.toISOString() : null,
+      lockISO: lockAt ? lockAt.toISOString() : null,
+      locked: !lockAt || now >= lockAt
+    };
+  });
+}
+
+// True once no more picks are taken for the week (every game locked in kickoff mode)
 function isLockedNow(weekNum) {
+  if (getLockMode() === 'kickoff') {
+    const locks = gameLocks(weekNum);
+    return !locks.length || locks.every(l => l.locked);
+  }
   const cutoff = computeCutoffForWeek(weekNum);
   if (!cutoff) return true;              // be conservative: hide until we can compute
   return new Date() >= cutoff;
 }
 
 // ===== NEW: Picks Visibility setting (on|off|auto) =====
-const settingsPath = path.join(dataDir, 'app_settings.json');
-
 function readSettings() {
-  try {
-    if (!fs.existsSync(settingsPath)) return { picksVisibilityMode: 'auto' };
-    const j = JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-    return j && typeof j === 'object' ? j : { picksVisibilityMode: 'auto' };
-  } catch {
-    return { picksVisibilityMode: 'auto' };
-  }
+  const j = repo.settings.get();
+  return j && typeof j === 'object' ? j : { picksVisibilityMode: 'auto' };
+}
+
+// Push (tie against the spread): counts as a loss, a win, or half a point
+const PUSH_POINTS = { loss: 0, win: 1, half: 0.5 };
+
+function getPushPolicy() {
+  const p = String(readSettings().pushPolicy || 'loss').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(PUSH_POINTS, p) ? p : 'loss';
 }
 
 function writeSettings(obj) {
-  try {
-    if (fs.existsSync(settingsPath)) {
-      const backupName = `${Date.now()}_app_settings.json`;
-      fs.copyFileSync(settingsPath, path.join(backupDir, backupName));
-    }
-  } catch { /* ignore backup errors */ }
-  fs.writeFileSync(settingsPath, JSON.stringify(obj, null, 2));
+  repo.settings.save(obj, { backup: true });
+}
+
+// { day, time, timezone } for the weekly cutoff; invalid settings fall back to the default
+function getCutoffConfig() {
+  const cfg = { ...gameTime.DEFAULT_CUTOFF, ...(readSettings().cutoff || {}) };
+  return gameTime.cutoffConfigErrors(cfg).length ? { ...gameTime.DEFAULT_CUTOFF } : cfg;
+}
+
+// IANA zone the league's sheets and cutoff are read in
+function leagueZone() {
+  return getCutoffConfig().timezone;
 }
 
 function getPicksVisibilityMode() {
@@ -280,19 +444,80 @@ function shouldRevealPicksNow(weekNum) {
   return isLockedNow(weekNum); // auto
 }
 
+// ---------- Late-submission grants ----------
+// late_grants.json: { grants: [{ id, playerId, player, week, expiresAt, unstartedOnly,
+//   grantedBy, grantedAt, revokedAt?, uses: [{ at, picks }] }] }
+// A live grant lets one player submit for one week after the lock, until it expires;
+// with unstartedOnly only games that haven't kicked off can be picked.
+function readLateGrants() {
+  const doc = repo.lateGrants.get();
+  return doc && Array.isArray(doc.grants) ? doc : { grants: [] };
+}
+
+const isLiveGrant = (g, now = new Date()) => !g.revokedAt && new Date(g.expiresAt) > now;
+
+function activeLateGrant(playerId, week) {
+  return readLateGrants().grants.find(g => g.playerId === playerId && g.week === Number(week) && isLiveGrant(g)) || null;
+}
+
+// Player a submit request claims to be (session token, or the name of a legacy
+// name+PIN body); the PIN itself is checked later by requirePlayerSession
+function claimedPlayer(req) {
+  const token = sessions.tokenFromRequest(req);
+  if (token) return playerFromToken(token)?.player || null;
+  const b = req.body || {};
+  return players.resolve(b.name ?? b.gameName ?? b.game_name ?? b.player ?? b.playerName);
+}
+
+// Game ids in a week whose kickoff has passed
+function kickedOffGameIds(week, now = new Date()) {
+  const raw = repo.games.get(week);
+  if (!Array.isArray(raw)) return new Set();
+  return new Set(assignGameIds(week, raw).filter(g => {
+    const k = kickoffOf(g);
+    return k && now >= k;
+  }).map(g => g.id));
+}
+
+// The grant a submit route may use: it must belong to the signed-in player
+function lateGrantFor(req) {
+  return req.lateGrant && req.lateGrant.playerId === req.player?.id ? req.lateGrant : null;
+}
+
+// Log a grant use in the grant itself and the audit journal
+async function recordLateGrantUse(req, grant, week, pickCount) {
+  try {
+    await repo.lateGrants.update({ grants: [] }, doc => ({
+      ...doc,
+      grants: (doc.grants || []).map(g => (g.id === grant.id
+        ? { ...g, uses: [...(g.uses || []), { at: new Date().toISOString(), picks: pickCount }] }
+        : g))
+    }));
+  } catch (e) {
+    console.warn('⚠️ Late grant use not recorded:', e?.message);
+  }
+  audit(req, 'picks.late_grant_used', {
+    actor: req.player.name, week, summary: `Late submission under grant ${grant.id}`, grantId: grant.id
+  });
+}
+
 // Pre-guard: block **submissions** after cutoff (only submit-picks endpoints)
 app.use((req, res, next) => {
   const isSubmit =
     req.method === 'POST' &&
     /^\/(api\/)?submit-picks(\/|$)/i.test(req.path);
   if (isSubmit) {
-    const week = Number(req.query.week || req.body?.week) || getCurrentWeekNumber();
-    if (isLockedNow(week)) {
+    const fromPath = req.path.match(/submit-picks\/(\d+)/i);
+    const week = Number(fromPath?.[1] || req.query.week || req.body?.week) || getCurrentWeekNumber();
+    const claimed = claimedPlayer(req);
+    const grant = claimed ? activeLateGrant(claimed.id, week) : null;
+    if (grant) req.lateGrant = grant; // honored only if the sign-in checks out
+    if (isLockedNow(week) && !grant) {
       return res.status(403).json({
         error: 'Pick submissions are closed.',
         week,
         cutoffISO: computeCutoffForWeek(week)?.toISOString() || null,
-        timezone: 'America/Chicago'
+        timezone: leagueZone()
       });
     }
   }
@@ -303,40 +528,394 @@ app.use((req, res, next) => {
 app.get('/api/lock-status', (req, res) => {
   const week = Number(req.query.week) || getCurrentWeekNumber();
   const cutoff = computeCutoffForWeek(week);
+  const games = gameLocks(week);
   res.json({
     week,
     cutoffISO: cutoff ? cutoff.toISOString() : null,
-    timezone: 'America/Chicago',
+    timezone: leagueZone(),
+    lockMode: getLockMode(),
     isLocked: isLockedNow(week),
+    openGames: games.filter(g => !g.locked).length,
+    games,
     revealPicks: shouldRevealPicksNow(week),
     mode: getPicksVisibilityMode()
   });
 });
 
 // ===== NEW: API for picks visibility (Admin-controlled) =====
-function authOk(req) {
-  const ADMIN_TKN = (process.env.ADMIN_TOKEN || '').trim();
-  if (!ADMIN_TKN) return true;                 // if no token configured, allow
-  return (req.query.key || '') === ADMIN_TKN;  // else require ?key=YOURTOKEN
+// ---------- Admin auth (accounts + roles, see admins.js) ----------
+// Credentials: Authorization: Bearer <token> from POST /api/admin/login, or the
+// ADMIN_TOKEN break-glass secret in an X-Admin-Token header (acts as commissioner).
+// No credentials -> 401, a role without the permission -> 403. Nothing is open by default.
+function adminFromRequest(req) {
+  const breakGlass = (process.env.ADMIN_TOKEN || '').trim();
+  const header = String(req.headers['x-admin-token'] || '').trim();
+  if (breakGlass && header) {
+    const a = Buffer.from(header), b = Buffer.from(breakGlass);
+    if (a.length === b.length && crypto.timingSafeEqual(a, b)) {
+      return { username: 'admin-token', role: 'commissioner', via: 'token' };
+    }
+    return null;
+  }
+
+  const claims = sessions.verifyToken(sessions.tokenFromRequest(req));
+  if (!claims || claims.role !== 'admin') return null;
+  // Re-read the account so removals and role changes apply to live sessions
+  const account = (repo.admins.get([]) || []).find(a => a?.username === claims.sub);
+  return account ? { username: account.username, role: account.role, via: 'session' } : null;
+}
+
+function requireAdmin(permission) {
+  return (req, res, next) => {
+    const admin = adminFromRequest(req);
+    if (!admin) return res.status(401).json({ error: 'Admin sign-in required' });
+    if (!admins.can(admin.role, permission)) {
+      return res.status(403).json({ error: `Role "${admin.role}" may not do this`, required: admins.PERMISSIONS[permission] });
+    }
+    req.admin = admin;
+    next();
+  };
+}
+
+// First commissioner from ADMIN_USERNAME / ADMIN_PASSWORD when there are no accounts yet
+(() => {
+  const accounts = repo.admins.get([]) || [];
+  if (accounts.length) return;
+  const username = (process.env.ADMIN_USERNAME || '').trim();
+  const password = process.env.ADMIN_PASSWORD || '';
+  if (username && password) {
+    try {
+      repo.admins.save([admins.createAccount({ username, password, role: 'commissioner' })]);
+      console.log(`👤 Admin account "${admins.normalizeUsername(username)}" created (commissioner)`);
+      return;
+    } catch (e) {
+      console.warn('⚠️ ADMIN_USERNAME/ADMIN_PASSWORD not usable:', e?.message);
+    }
+  }
+  if (!(process.env.ADMIN_TOKEN || '').trim()) {
+    console.warn('⚠️ No admin accounts and no ADMIN_TOKEN — admin routes are locked. Set ADMIN_USERNAME and ADMIN_PASSWORD.');
+  }
+})();
+
+const publicAccount = a => ({ username: a.username, role: a.role, createdAt: a.createdAt || null });
+
+app.post('/api/admin/login', (req, res) => {
+  const { username, password } = req.body || {};
+  const target = `admin:${admins.normalizeUsername(username)}`;
+  if (rejectIfThrottled(req, res, target)) return;
+  const account = admins.authenticateAdmin(repo.admins.get([]), username, password);
+  if (!account) {
+    noteSignInFailure(req, target, `admin ${admins.normalizeUsername(username)}`);
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  loginGuard.recordSuccess(clientIp(req), target);
+  const { token, expiresAt } = sessions.createToken({ sub: account.username, role: 'admin' });
+  audit(req, 'admin.login', { actor: account.username, summary: `Signed in as ${account.role}` });
+  res.json({ ok: true, username: account.username, role: account.role, token, expiresAt });
+});
+
+app.get('/api/admin/me', requireAdmin('read'), (req, res) => {
+  res.json({ ...req.admin, permissions: Object.keys(admins.PERMISSIONS).filter(p => admins.can(req.admin.role, p)) });
+});
+
+app.get('/api/admin/accounts', requireAdmin('manage'), (req, res) => {
+  res.json({ accounts: (repo.admins.get([]) || []).map(publicAccount), roles: admins.ROLES });
+});
+
+// Create an account, or change an existing one's role/password: { username, password, role }
+app.post('/api/admin/accounts', requireAdmin('manage'), async (req, res) => {
+  const { username, password, role } = req.body || {};
+  const name = admins.normalizeUsername(username);
+  let saved = null;
+  try {
+    await repo.admins.update([], list => {
+      const existing = list.find(a => a?.username === name);
+      if (!existing) {
+        saved = admins.createAccount({ username: name, password, role });
+        return [...list, saved];
+      }
+      saved = admins.updateAccount(existing, { password, role });
+      const next = list.map(a => (a === existing ? saved : a));
+      if (!next.some(a => a.role === 'commissioner')) throw new Error('At least one commissioner account must remain');
+      return next;
+    }, { backup: true });
+  } catch (e) {
+    return res.status(400).json({ error: e.message });
+  }
+  audit(req, 'admin.account', { summary: `Account ${saved.username} saved (${saved.role})`, username: saved.username, role: saved.role });
+  res.json({ ok: true, account: publicAccount(saved) });
+});
+
+app.delete('/api/admin/accounts/:username', requireAdmin('manage'), async (req, res) => {
+  const name = admins.normalizeUsername(req.params.username);
+  let error = null;
+  try {
+    await repo.admins.update([], list => {
+      if (!list.some(a => a?.username === name)) { error = [404, 'Unknown account']; return dataStore.SKIP; }
+      const next = list.filter(a => a?.username !== name);
+      if (!next.some(a => a.role === 'commissioner')) { error = [409, 'Cannot remove the last commissioner']; return dataStore.SKIP; }
+      return next;
+    }, { backup: true });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  if (error) return res.status(error[0]).json({ error: error[1] });
+  audit(req, 'admin.account_removed', { summary: `Account ${name} removed`, username: name });
+  res.json({ ok: true, removed: name });
+});
+
+// Sign-in lockouts and failure counters (see loginGuard.js)
+app.get('/api/admin/lockouts', requireAdmin('read'), (req, res) => {
+  res.json({
+    maxFailures: loginGuard.maxFailures,
+    lockoutMinutes: loginGuard.lockoutMinutes,
+    entries: loginGuard.list()
+  });
+});
+
+// { scope: 'ip'|'target', key } clears one entry; an empty body clears them all
+app.post('/api/admin/lockouts/clear', requireAdmin('manage'), (req, res) => {
+  const scope = req.body?.scope ? String(req.body.scope) : null;
+  const key = String(req.body?.key ?? '');
+  if (scope && !['ip', 'target'].includes(scope)) return res.status(400).json({ error: 'scope must be "ip" or "target"' });
+  const cleared = loginGuard.clear(scope ? { scope, key } : {});
+  audit(req, 'auth.lockout_cleared', { summary: scope ? `Lockout cleared: ${scope} ${key}` : 'All lockouts cleared', cleared });
+  res.json({ ok: true, cleared });
+});
+
+// ---------- Audit journal ----------
+// Append-only: audit.jsonl next to the data (JSON backend) or the `audit` table (SQLite).
+// Event: { at, action, actor, ip, week, summary, ...details }
+// req.ip honors X-Forwarded-For only through the trusted proxy hops (TRUST_PROXY),
+// so a client can't pick its own address for the audit log or sign-in throttling
+function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || null;
+}
+
+function audit(req, action, { actor, week, summary, ...details } = {}) {
+  try {
+    const b = req?.body || {};
+    const player = String(b.player ?? b.playerName ?? b.gameName ?? b.name ?? '').trim();
+    repo.appendEvent({
+      action,
+      actor: actor || req?.admin?.username || player || 'admin',
+      ip: req ? clientIp(req) : null,
+      week: week != null && week !== '' && Number.isFinite(Number(week)) ? Number(week) : null,
+      summary: summary || '',
+      ...details
+    });
+  } catch (e) {
+    console.warn('⚠️ Audit write failed:', e?.message);
+  }
 }
 
+// GET /api/admin/audit?action=picks&actor=Rick&week=3&since=2025-09-01&until=...&limit=100&offset=0
+// action matches exactly or by prefix ("upload" → upload.games, upload.scores); newest first
+app.get('/api/admin/audit', requireAdmin('read'), (req, res) => {
+  try {
+    const q = req.query;
+    const toIso = v => {
+      if (!v) return null;
+      const d = new Date(String(v));
+      return Number.isNaN(d.getTime()) ? null : d.toISOString();
+    };
+    const events = repo.readEvents({
+      action: String(q.action || '').trim() || null,
+      actor:  String(q.actor || '').trim() || null,
+      week:   q.week != null && q.week !== '' ? Number(q.week) : null,
+      since:  toIso(q.since),
+      until:  toIso(q.until)
+    }).reverse();
+    const limit  = Math.min(Math.max(parseInt(q.limit, 10) || 100, 1), 1000);
+    const offset = Math.max(parseInt(q.offset, 10) || 0, 0);
+    res.json({ total: events.length, offset, limit, events: events.slice(offset, offset + limit) });
+  } catch (e) {
+    console.error('GET /api/admin/audit error', e);
+    res.status(500).json({ error: 'Failed to read audit journal' });
+  }
+});
+
 app.get('/api/picks-visibility', (req, res) => {
   const mode = getPicksVisibilityMode();
   const week = Number(req.query.week) || getCurrentWeekNumber();
   res.json({ mode, revealNow: (mode === 'on') ? true : (mode === 'off') ? false : isLockedNow(week) });
 });
 
-app.post('/api/picks-visibility', express.json(), (req, res) => {
-  if (!authOk(req)) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/picks-visibility', requireAdmin('manage'), express.json(), (req, res) => {
   const mode = String(req.body?.mode || '').toLowerCase();
   if (!['on','off','auto'].includes(mode)) {
     return res.status(400).json({ error: 'mode must be "on", "off", or "auto"' });
   }
   const current = readSettings();
   writeSettings({ ...current, picksVisibilityMode: mode });
+  audit(req, 'settings.visibility', { summary: `Picks visibility ${current.picksVisibilityMode || 'auto'} → ${mode}`, from: current.picksVisibilityMode || 'auto', to: mode });
   res.json({ ok: true, mode });
 });
 
+// ===== League setting: push policy (loss|win|half) =====
+app.get('/api/push-policy', (req, res) => {
+  const policy = getPushPolicy();
+  res.json({ policy, points: PUSH_POINTS[policy] });
+});
+
+app.get('/api/lock-mode', (req, res) => {
+  res.json({ lockMode: getLockMode(), modes: LOCK_MODES });
+});
+
+app.post('/api/lock-mode', requireAdmin('manage'), (req, res) => {
+  const lockMode = String(req.body?.lockMode || req.body?.mode || '').toLowerCase();
+  if (!LOCK_MODES.includes(lockMode)) {
+    return res.status(400).json({ error: 'lockMode must be "global" or "kickoff"' });
+  }
+  const current = readSettings();
+  const from = current.lockMode || 'global';
+  writeSettings({ ...current, lockMode });
+  audit(req, 'settings.lock_mode', { summary: `Lock mode ${from} → ${lockMode}`, from, to: lockMode });
+  res.json({ ok: true, lockMode });
+});
+
+// Late-submission grants: list (newest first), create, revoke
+app.get('/api/admin/late-grants', requireAdmin('read'), (req, res) => {
+  const week = Number(req.query.week) || null;
+  const now = new Date();
+  const grants = readLateGrants().grants
+    .filter(g => !week || g.week === week)
+    .map(g => ({ ...g, active: isLiveGrant(g, now) }))
+    .reverse();
+  res.json({ grants });
+});
+
+// { player (name, alias or id), week, minutes? (default 60, max 7 days), unstartedOnly? (default true) }
+app.post('/api/admin/late-grants', requireAdmin('manage'), async (req, res) => {
+  const b = req.body || {};
+  const player = players.resolve(b.player ?? b.playerId ?? b.name);
+  if (!player) return res.status(404).json({ error: 'Unknown player' });
+  const week = Number(b.week) || getCurrentWeekNumber();
+  if (!repo.games.has(week)) return res.status(404).json({ error: `No slate for Week ${week}` });
+  const minutes = Math.min(Math.max(Number(b.minutes) || 60, 1), 7 * 24 * 60);
+  const now = new Date();
+  const grant = {
+    id: `lg-${now.getTime().toString(36)}-${crypto.randomBytes(3).toString('hex')}`,
+    playerId: player.id,
+    player: player.name,
+    week,
+    expiresAt: new Date(now.getTime() + minutes * 60 * 1000).toISOString(),
+    unstartedOnly: b.unstartedOnly !== false && String(b.unstartedOnly) !== 'false',
+    grantedBy: req.admin.username,
+    grantedAt: now.toISOString(),
+    uses: []
+  };
+  try {
+    // A new grant replaces any live one for the same player and week
+    await repo.lateGrants.update({ grants: [] }, doc => ({
+      ...doc,
+      grants: [
+        ...(doc.grants || []).map(g => (g.playerId === player.id && g.week === week && isLiveGrant(g, now)
+          ? { ...g, revokedAt: now.toISOString() }
+          : g)),
+        grant
+      ]
+    }), { backup: true });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  audit(req, 'picks.late_grant', {
+    week,
+    summary: `Late submission for ${player.name} until ${grant.expiresAt}${grant.unstartedOnly ? ' (unstarted games only)' : ''}`,
+    grantId: grant.id,
+    playerId: player.id
+  });
+  res.json({ ok: true, grant });
+});
+
+app.delete('/api/admin/late-grants/:id', requireAdmin('manage'), async (req, res) => {
+  let found = null;
+  try {
+    await repo.lateGrants.update({ grants: [] }, doc => {
+      found = (doc.grants || []).find(g => g.id === req.params.id && !g.revokedAt);
+      if (!found) return dataStore.SKIP;
+      return { ...doc, grants: doc.grants.map(g => (g === found ? { ...g, revokedAt: new Date().toISOString() } : g)) };
+    }, { backup: true });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  if (!found) return res.status(404).json({ error: 'No such grant (or already revoked)' });
+  audit(req, 'picks.late_grant_revoked', { week: found.week, summary: `Late grant for ${found.player} revoked`, grantId: found.id });
+  res.json({ ok: true, revoked: found.id });
+});
+
+app.get('/api/cutoff-settings', (req, res) => {
+  res.json({ ...getCutoffConfig(), days: gameTime.DAYS });
+});
+
+// { day: 'thu', time: '13:00', timezone: 'America/Chicago' } — omitted fields keep their value
+app.post('/api/cutoff-settings', requireAdmin('manage'), (req, res) => {
+  const from = getCutoffConfig();
+  const b = req.body || {};
+  const next = {
+    day: String(b.day ?? from.day).toLowerCase().slice(0, 3),
+    time: String(b.time ?? from.time).trim(),
+    timezone: String(b.timezone ?? from.timezone).trim()
+  };
+  const errors = gameTime.cutoffConfigErrors(next);
+  if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+  writeSettings({ ...readSettings(), cutoff: next });
+  audit(req, 'settings.cutoff', {
+    summary: `Cutoff ${from.day} ${from.time} ${from.timezone} → ${next.day} ${next.time} ${next.timezone}`,
+    from, to: next
+  });
+  res.json({ ok: true, ...next });
+});
+
+app.get('/api/pot-settings', (req, res) => {
+  const { entryFee, threshold } = getPotSettings();
+  res.json({ entryFee, potWinThreshold: threshold, requiredPicks: getRequiredPicks() });
+});
+
+// { entryFee, potWinThreshold } — omitted fields keep their value; the pot ledger follows
+app.post('/api/pot-settings', requireAdmin('manage'), (req, res) => {
+  const current = readSettings();
+  const from = getPotSettings();
+  const b = req.body || {};
+  const patch = {};
+  if (b.entryFee != null && b.entryFee !== '') patch.entryFee = Number(b.entryFee);
+  if (b.potWinThreshold != null && b.potWinThreshold !== '') patch.potWinThreshold = Number(b.potWinThreshold);
+  if (!Object.keys(patch).length) return res.status(400).json({ error: 'Nothing to change (entryFee, potWinThreshold)' });
+
+  const next = { ...current, ...patch };
+  const errors = schemas.validate('settings', next);
+  if (next.entryFee < 0) errors.push('settings.entryFee: must be >= 0');
+  if (next.potWinThreshold > getRequiredPicks()) errors.push(`settings.potWinThreshold: must be <= ${getRequiredPicks()} (picks per card)`);
+  if (errors.length) return res.status(400).json({ error: errors.join('; '), errors });
+
+  writeSettings(next);
+  const to = getPotSettings();
+  audit(req, 'settings.pot', {
+    summary: `Entry fee ${from.entryFee} → ${to.entryFee}, pot threshold ${from.threshold} → ${to.threshold}`,
+    from, to
+  });
+  try { updatePot(); } catch (e) { console.warn('⚠️ Pot update failed:', e?.message); }
+  res.json({ ok: true, entryFee: to.entryFee, potWinThreshold: to.threshold });
+});
+
+app.post('/api/push-policy', requireAdmin('manage'), express.json(), (req, res) => {
+  const policy = String(req.body?.policy || '').toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(PUSH_POINTS, policy)) {
+    return res.status(400).json({ error: 'policy must be "loss", "win", or "half"' });
+  }
+  const current = readSettings();
+  writeSettings({ ...current, pushPolicy: policy });
+  audit(req, 'settings.push_policy', { summary: `Push policy ${current.pushPolicy || 'loss'} → ${policy}`, from: current.pushPolicy || 'loss', to: policy });
+
+  // Re-score every week that already has results so standings and pot follow
+  const rescored = [];
+  for (const week of listResultWeeks()) {
+    try { calculateWinnersFromList(week); rescored.push(week); }
+    catch (e) { console.warn(`⚠️ Re-score failed for week ${week}:`, e?.message); }
+  }
+  res.json({ ok: true, policy, points: PUSH_POINTS[policy], rescored });
+});
+
 // Serve /data but hide the picks file unless allowed by visibility
 app.use('/data', (req, res, next) => {
   const m = req.path.match(/^\/picks_week_(\d+)\.json$/i);
@@ -352,7 +931,17 @@ app.use('/data', (req, res, next) => {
     }
   }
   next();
-}, express.static(dataDir));
+}, (req, res, next) => {
+  // Documents come from the repository (files or SQLite), not the disk directly
+  const m = req.path.match(/^\/([A-Za-z0-9_-]+)\.json$/);
+  if (!m) return next();
+  // Catalog items marked admin-only (the roster) need the same access as their download
+  const item = downloadItemForKey(m[1]);
+  if (item && item.access === 'admin' && downloadAccess(req) !== 'admin') {
+    return res.status(adminFromRequest(req) ? 403 : 401).json({ error: 'Admin sign-in required' });
+  }
+  return sendJsonDoc(res, m[1]);
+});
 
 // ---------- Auth & Data Compatibility Routes for Player Picks ----------
 
@@ -389,23 +978,24 @@ function handleAuthenticate(req, res) {
 
     if (!name || !pin) return res.status(400).json({ error: 'Missing name or pin' });
 
-    const rosterPath = path.join(dataDir, 'roster.json');
-    if (!fs.existsSync(rosterPath)) return res.status(404).json({ error: 'Roster not found' });
+    if (!repo.roster.has()) return res.status(404).json({ error: 'Roster not found' });
 
-    const roster = JSON.parse(fs.readFileSync(rosterPath, 'utf8'));
-    const norm = s => s.toString().trim().toLowerCase();
+    const target = playerTarget(name);
+    if (rejectIfThrottled(req, res, target)) return;
 
-    const match = Array.isArray(roster) && roster.find(r => {
-      const rname = typeof r === 'string' ? r : (r && (r.name || r.gameName || r.playerName));
-      const rpin  = typeof r === 'string' ? '' : (r && (r.pin || r.PIN || r.passcode || r.password));
-      return rname && norm(rname) === norm(name) && String(rpin ?? '') === String(pin);
-    });
-
-    if (!match) return res.status(401).json({ error: 'Invalid name or PIN' });
+    // Display name or any alias, case-insensitive
+    const player = players.authenticate(name, pin);
+    if (!player) {
+      noteSignInFailure(req, target, name);
+      return res.status(401).json({ error: 'Invalid name or PIN' });
+    }
+    loginGuard.recordSuccess(clientIp(req), target);
 
+    const { token, expiresAt } = issuePlayerSession(player);
     return res.json({
-      ok: true,
-      name: (typeof match === 'string' ? match : (match.name || match.gameName || match.playerName))
+      ok: true, name: player.name, playerId: player.id, token, expiresAt,
+      // Temporary PIN: the token only works for POST /api/player/pin until it's changed
+      ...(player.row.mustChangePin ? { mustChangePin: true } : {})
     });
   } catch (e) {
     return res.status(500).json({ error: e.message || 'Auth failed' });
@@ -416,28 +1006,122 @@ function handleAuthenticate(req, res) {
 app.get('/api/authenticate', handleAuthenticate);
 app.post('/api/authenticate', urlencodedParser, jsonParser, handleAuthenticate);
 
-// File helpers (serve JSON if it exists)
-function sendJsonFile(res, filePath) {
-  if (!fs.existsSync(filePath)) return res.status(404).send('Not found');
-  return res.sendFile(filePath);
+// Who does this session token belong to? (frontend checks before showing the pick form)
+app.get('/api/session', (req, res) => {
+  const found = playerFromToken(sessions.tokenFromRequest(req));
+  if (!found) {
+    return res.status(401).json({ ok: false, error: 'Session expired or invalid.', sessionExpired: true });
+  }
+  res.json({
+    ok: true,
+    name: found.player.name,
+    playerId: found.player.id,
+    expiresAt: new Date(found.claims.exp * 1000).toISOString(),
+    ...(found.player.row.mustChangePin ? { mustChangePin: true } : {})
+  });
+});
+
+// ---------- PIN change ----------
+// New PINs: 4-8 digits, like the roster sheet uses
+const PIN_RE = /^\d{4,8}$/;
+
+// Rewrite one roster row under the roster lock; the change event reloads the
+// player directory right away (no wait for the file watcher)
+async function updateRosterRow(playerId, mutate) {
+  let updated = null;
+  await repo.roster.update([], rows => {
+    const next = rows.map(r => (r?.id === playerId ? (updated = mutate(r)) : r));
+    return updated ? next : dataStore.SKIP;
+  }, { backup: false }); // a backup would keep the old PIN hash around
+  return updated;
+}
+
+// Signed-in player changes their own PIN: { currentPin, newPin }
+app.post('/api/player/pin', requirePlayerSessionForPinChange, async (req, res) => {
+  const currentPin = String(req.body?.currentPin ?? '').trim();
+  const newPin = String(req.body?.newPin ?? '').trim();
+  if (!PIN_RE.test(newPin)) return res.status(400).json({ ok: false, error: 'New PIN must be 4-8 digits.' });
+  if (newPin === currentPin) return res.status(400).json({ ok: false, error: 'New PIN must be different.' });
+
+  // The current PIN is re-checked (and throttled) even with a valid session
+  const target = playerTarget(req.player.id);
+  if (rejectIfThrottled(req, res, target)) return;
+  if (!players.authenticate(req.player.id, currentPin)) {
+    noteSignInFailure(req, target, req.player.name);
+    return res.status(401).json({ ok: false, error: 'Current PIN is incorrect.' });
+  }
+  loginGuard.recordSuccess(clientIp(req), target);
+
+  try {
+    const row = await updateRosterRow(req.player.id, r => {
+      const { mustChangePin, ...rest } = r;
+      return { ...rest, pinHash: hashPin(newPin), pinChangedAt: new Date().toISOString() };
+    });
+    if (!row) return res.status(404).json({ ok: false, error: 'Player not on the roster.' });
+  } catch (e) {
+    return res.status(500).json({ ok: false, error: e.message });
+  }
+  audit(req, 'roster.pin_change', { actor: req.player.name, summary: 'PIN changed by player' });
+  // Older sessions end with the PIN change; this one continues with a fresh token
+  const { token, expiresAt } = issuePlayerSession(players.byId(req.player.id));
+  res.json({ ok: true, token, expiresAt });
+});
+
+// Public projections: what /data, the /api aliases and downloads may show.
+// Picks lose anything but the card itself; the roster is names (and balances) only;
+// tiebreaker guesses stay hidden until the Week 1 lock, as in GET /api/tiebreaker.
+const PUBLIC_VIEWS = {
+  tiebreakers: doc => ({
+    ...(doc && typeof doc === 'object' ? doc : {}),
+    picks: isTiebreakerLocked() ? doc?.picks || {} : {}
+  }),
+  picks: entries => (Array.isArray(entries) ? entries : []).map(e => ({
+    player: e?.player ?? '',
+    week: e?.week ?? null,
+    submittedAt: e?.submittedAt ?? null,
+    picks: (e?.picks || []).map(p => (typeof p === 'string'
+      ? { pick: p }
+      : { gameId: p?.gameId ?? null, gameIndex: p?.gameIndex ?? null, pick: p?.pick ?? '' }))
+  })),
+  roster: rows => (Array.isArray(rows) ? rows : []).map(r => (typeof r === 'string'
+    ? { name: r }
+    : { name: r?.name ?? '', ...(r?.Balance != null ? { Balance: r.Balance } : {}) }))
+};
+
+// Documents never served as files (password hashes, late-submission grants)
+const PRIVATE_DOCS = new Set(['admins', 'late_grants']);
+
+// Stored document text, or its public projection for picks/roster (null when missing or private)
+function publicDocText(key) {
+  if (PRIVATE_DOCS.has(key)) return null;
+  const text = repo.isValidKey(key) ? repo.getText(key) : null;
+  if (text == null) return null;
+  const view = PUBLIC_VIEWS[schemas.kindForKey(key) || key];
+  if (!view) return text;
+  try { return JSON.stringify(view(JSON.parse(text)), null, 2); }
+  catch { return '[]'; }
+}
+
+// Document helper (serve stored JSON if it exists)
+function sendJsonDoc(res, key) {
+  const text = publicDocText(key);
+  if (text == null) return res.status(404).send('Not found');
+  return res.type('application/json').send(text);
 }
 
 // Alias: /api/games_week_X.json  -> /data/games_week_X.json
 app.get('/api/games_week_:week.json', (req, res) => {
-  const filePath = path.join(dataDir, `games_week_${req.params.week}.json`);
-  return sendJsonFile(res, filePath);
+  return sendJsonDoc(res, repo.games.key(req.params.week));
 });
 
 // Alias: /api/scores_week_X.json -> /data/scores_week_X.json
 app.get('/api/scores_week_:week.json', (req, res) => {
-  const filePath = path.join(dataDir, `scores_week_${req.params.week}.json`);
-  return sendJsonFile(res, filePath);
+  return sendJsonDoc(res, repo.scores.key(req.params.week));
 });
 
 // Alias: /api/winners_week_X.json -> /data/winners_week_X.json
 app.get('/api/winners_week_:week.json', (req, res) => {
-  const filePath = path.join(dataDir, `winners_week_${req.params.week}.json`);
-  return sendJsonFile(res, filePath);
+  return sendJsonDoc(res, repo.winners.key(req.params.week));
 });
 
 // Alias: /api/picks_week_X.json -> /data/picks_week_X.json (obeys visibility setting)
@@ -451,8 +1135,7 @@ app.get('/api/picks_week_:week.json', (req, res) => {
       mode: getPicksVisibilityMode()
     });
   }
-  const filePath = path.join(dataDir, `picks_week_${week}.json`);
-  return sendJsonFile(res, filePath);
+  return sendJsonDoc(res, repo.picks.key(week));
 });
 
 // ---------- Multer ----------
@@ -461,32 +1144,28 @@ const storage = multer.diskStorage({
   filename: (req, file, cb) => cb(null, file.originalname),
 });
 const upload = multer({ storage });
+// Roster sheets carry plain PINs: parse them in memory so nothing lands in uploads/
+const memoryUpload = multer({ storage: multer.memoryStorage() });
 
 // ---------- Admin: Clear Chat ----------
 function clearChatHandler(req, res) {
-  if (!authOk(req)) return res.status(403).json({ error: 'Forbidden' });
   try {
-    const chatPath = path.join(dataDir, 'chat.json');
-
-    // Backup current chat.json (if any)
-    if (fs.existsSync(chatPath)) {
-      try {
-        const backupPath = path.join(backupDir, `${Date.now()}_chat.json`);
-        fs.copyFileSync(chatPath, backupPath);
-      } catch { /* ignore backup errors */ }
-    }
-
-    // Clear chat
-    fs.writeFileSync(chatPath, '[]', 'utf8');
-    return res.json({ ok: true, cleared: true });
+    // Clear chat (current chat.json is backed up first)
+    repo.chat.update([], () => [], { backup: true })
+      .then(() => {
+        audit(req, 'chat.clear', { summary: 'Chat cleared' });
+        realtime.toAll('chat:cleared', {});
+        res.json({ ok: true, cleared: true });
+      })
+      .catch(e => res.status(500).json({ ok: false, error: e.message }));
   } catch (e) {
     return res.status(500).json({ ok: false, error: e.message });
   }
 }
 
 // Allow both POST and GET for convenience
-app.post('/api/admin/clear-chat', clearChatHandler);
-app.get('/api/admin/clear-chat', clearChatHandler);
+app.post('/api/admin/clear-chat', requireAdmin('manage'), clearChatHandler);
+app.get('/api/admin/clear-chat', requireAdmin('manage'), clearChatHandler);
 
 // ---------- Chat (roster-restricted) ----------
 app.get('/api/check-roster', (req, res) => {
@@ -494,72 +1173,31 @@ app.get('/api/check-roster', (req, res) => {
     const q = (req.query.name || '').toString().trim();
     if (!q) return res.json({ allowed: false });
 
-    const rosterPath = path.join(dataDir, 'roster.json');
-    if (!fs.existsSync(rosterPath)) return res.json({ allowed: false });
-
-    const raw = fs.readFileSync(rosterPath, 'utf8');
-    let roster = [];
-    try { roster = JSON.parse(raw); } catch { return res.json({ allowed: false }); }
-
-    const norm = s => s.toString().trim().toLowerCase();
-    const allowed = Array.isArray(roster) && roster.some(r => {
-      if (typeof r === 'string') return norm(r) === norm(q);
-      if (r && typeof r.name === 'string') return norm(r.name) === norm(q);
-      return false;
-    });
-
-    return res.json({ allowed: !!allowed });
+    const player = players.resolve(q);
+    return res.json(player ? { allowed: true, name: player.name } : { allowed: false });
   } catch {
     return res.json({ allowed: false });
   }
 });
 
 app.get('/api/chat', (req, res) => {
-  const filePath = path.join(dataDir, 'chat.json');
-  fs.readFile(filePath, 'utf8', (err, data) => {
-    if (err) return res.json([]);
-    try { res.json(JSON.parse(data)); }
-    catch { res.json([]); }
-  });
+  const messages = repo.chat.get([]);
+  res.json(Array.isArray(messages) ? messages : []);
 });
 
-app.post('/api/chat', (req, res) => {
-  const chatPath   = path.join(dataDir, 'chat.json');
-  const rosterPath = path.join(dataDir, 'roster.json');
-
-  const nameRaw = (req.body?.name || '').toString().trim();
+app.post('/api/chat', requirePlayerSession, (req, res) => {
+  // The poster is the signed-in player; a name in the body is ignored
+  const nameRaw = req.player.name;
   const messageRaw = (req.body?.message || '').toString().trim();
 
   // Basic input checks
-  if (!nameRaw || !messageRaw) {
-    return res.status(400).json({ error: 'Missing name or message.' });
+  if (!messageRaw) {
+    return res.status(400).json({ error: 'Missing message.' });
   }
   if (messageRaw.length > 1000) {
     return res.status(400).json({ error: 'Message too long.' });
   }
 
-  // Roster enforcement
-  try {
-    if (!fs.existsSync(rosterPath)) {
-      return res.status(403).json({ error: 'Only registered game names may post in chat.' });
-    }
-    const raw = fs.readFileSync(rosterPath, 'utf8');
-    const roster = JSON.parse(raw);
-    const norm = s => s.toString().trim().toLowerCase();
-
-    const isOnRoster = Array.isArray(roster) && roster.some(r => {
-      if (typeof r === 'string') return norm(r) === norm(nameRaw);
-      if (r && typeof r.name === 'string') return norm(r.name) === norm(nameRaw);
-      return false;
-    });
-
-    if (!isOnRoster) {
-      return res.status(403).json({ error: 'Only registered game names may post in chat.' });
-    }
-  } catch {
-    return res.status(500).json({ error: 'Roster validation failed.' });
-  }
-
   const newMessage = {
     name: nameRaw,
     message: messageRaw,
@@ -567,23 +1205,17 @@ app.post('/api/chat', (req, res) => {
   };
 
   // Save + keep last 50; back up existing file
-  fs.readFile(chatPath, 'utf8', (err, data) => {
-    let messages = [];
-    if (!err) {
-      try {
-        messages = JSON.parse(data);
-        if (fs.existsSync(chatPath)) {
-          const backupPath = path.join(backupDir, `${Date.now()}_chat.json`);
-          try { fs.copyFileSync(chatPath, backupPath); } catch {}
-        }
-      } catch {}
-    }
-    messages.push(newMessage);
-    fs.writeFile(chatPath, JSON.stringify(messages.slice(-50), null, 2), e => {
-      if (e) return res.status(500).json({ error: 'Failed to save message' });
+  repo.chat.update([], messages => {
+    const list = Array.isArray(messages) ? messages : [];
+    list.push(newMessage);
+    return list.slice(-50);
+  }, { backup: true })
+    .then(() => {
+      audit(req, 'chat.post', { actor: nameRaw, summary: `Chat message (${messageRaw.length} chars)` });
+      realtime.toAll('chat:message', newMessage);
       res.json({ success: true });
-    });
-  });
+    })
+    .catch(() => res.status(500).json({ error: 'Failed to save message' }));
 });
 
 
@@ -608,24 +1240,158 @@ function normalizeName(str) {
     .replace(/state$/i, 'st')
     .toLowerCase();
 }
-// ===== TEAM NAME MAP + SCORES NORMALIZER =====
-const teamNameMapPath = path.join(dataDir, 'team_name_map.json');
+// ---------- Game status (scheduled | final | cancelled | postponed) ----------
+const { GAME_STATUSES } = schemas;
+// No reschedules per the rules, so a postponed game scores like a cancelled one
+const VOID_STATUSES = new Set(['cancelled', 'postponed']);
+
+function normalizeGameStatus(raw, fallback = 'scheduled') {
+  const v = String(raw ?? '').trim().toLowerCase();
+  if (!v) return fallback;
+  if (GAME_STATUSES.includes(v)) return v;
+  if (v === 'canceled' || v.startsWith('cancel')) return 'cancelled';
+  if (['ppd', 'delayed', 'suspended'].includes(v) || v.startsWith('postpone')) return 'postponed';
+  if (v.startsWith('final') || ['complete', 'completed', 'closed', 'f'].includes(v)) return 'final';
+  return fallback;
+}
 
-function loadTeamNameMap() {
-  try {
-    if (!fs.existsSync(teamNameMapPath)) return {};
-    const j = JSON.parse(fs.readFileSync(teamNameMapPath, 'utf8'));
-    return j && typeof j === 'object' ? j : {};
-  } catch { return {}; }
+// ---------- Stable game IDs ----------
+// Every game gets an ID at ingest, derived from week + matchup, so a re-upload
+// that reorders the slate, swaps home and away, or corrects a spread keeps
+// pointing at the same game. Picks, scores, winners_detail and declaredwinners
+// all key on it.
+const slugTeam = name => stripParenSpreads(name).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+// Team slugs in sorted order, so either listing of a matchup gives the same ID
+function makeGameId(week, game) {
+  const [a, b] = [slugTeam(game?.team1), slugTeam(game?.team2)].sort();
+  return `w${week}-${a}-vs-${b}`;
 }
 
-function mapToMascot(name, map) {
-  if (!name) return '';
-  // direct key or trimmed key
-  return map[name] || map[String(name).trim()] || name;
+function findGameForTeams(games, team1, team2) {
+  return (games || []).find(g =>
+    (sameTeam(g.team1, team1) && sameTeam(g.team2, team2)) ||
+    (sameTeam(g.team1, team2) && sameTeam(g.team2, team1)));
 }
 
-function sameTeam(a, b) {
+// Give each game an `id`; existing IDs are kept, and a game without one takes the
+// ID of the same matchup (either order) on the stored slate, which also keeps IDs
+// minted before they were order-independent. Same-matchup duplicates get a suffix.
+function assignGameIds(week, games, previous = repo.games.get(week, [])) {
+  const known = (Array.isArray(previous) ? previous : []).filter(g => g?.id);
+  const seen = new Set();
+  return (games || []).map(g => {
+    const prior = g?.id ? null : findGameForTeams(known.filter(k => !seen.has(String(k.id))), g?.team1, g?.team2);
+    let id = g?.id ? String(g.id) : prior ? String(prior.id) : makeGameId(week, g);
+    for (let n = 2; seen.has(id); n++) id = `${makeGameId(week, g)}-${n}`;
+    seen.add(id);
+    return { id, ...g, ...(g?.id === id ? {} : { id }) };
+  });
+}
+
+// Re-point gameIndex from gameId after the slate changes (gameIndex is display-only now)
+function reindexPicksForWeek(week) {
+  const picks = repo.picks.get(week);
+  const games = repo.games.get(week);
+  if (!Array.isArray(picks) || !Array.isArray(games)) return 0;
+
+  const indexById = new Map(games.map((g, i) => [g.id, i]));
+  let changed = 0;
+  for (const entry of picks) {
+    for (const p of entry?.picks || []) {
+      if (p?.gameId && indexById.has(p.gameId) && p.gameIndex !== indexById.get(p.gameId)) {
+        p.gameIndex = indexById.get(p.gameId);
+        changed++;
+      }
+    }
+  }
+  if (changed) repo.picks.save(week, picks, { backup: true });
+  return changed;
+}
+
+/**
+ * Migration: add game IDs to an existing week's files (idempotent).
+ * games → id; scores/winners_detail → gameId by matchup;
+ * picks → gameId via gameIndex (if that game has the team) else by team name;
+ * declaredwinners → [{ gameId, winner }].
+ */
+function migrateGameIdsForWeek(week) {
+  const key = name => `${name}_week_${week}`;
+  const changed = [];
+  const save = (name, body) => {
+    repo.put(key(name), body, { backup: true });
+    changed.push(key(name));
+  };
+
+  const rawGames = repo.get(key('games'));
+  if (!Array.isArray(rawGames)) return changed;
+  const games = assignGameIds(week, rawGames);
+  if (rawGames.some((g, i) => g?.id !== games[i].id)) save('games', games);
+
+  const teamGame = team => games.find(g => sameTeam(g.team1, team) || sameTeam(g.team2, team));
+
+  for (const name of ['scores', 'winners_detail']) {
+    const rows = repo.get(key(name));
+    if (!Array.isArray(rows)) continue;
+    let dirty = false;
+    for (const r of rows) {
+      if (!r || r.gameId) continue;
+      const g = findGameForTeams(games, r.team1, r.team2);
+      if (g) { r.gameId = g.id; dirty = true; }
+    }
+    if (dirty) save(name, rows);
+  }
+
+  const picks = repo.get(key('picks'));
+  if (Array.isArray(picks)) {
+    let dirty = false;
+    for (const entry of picks) {
+      for (const p of entry?.picks || []) {
+        if (!p || p.gameId) continue;
+        const byIndex = games[Number(p.gameIndex)];
+        const g = byIndex && (sameTeam(byIndex.team1, p.pick) || sameTeam(byIndex.team2, p.pick))
+          ? byIndex
+          : teamGame(p.pick);
+        if (g) { p.gameId = g.id; p.gameIndex = games.indexOf(g); dirty = true; }
+      }
+    }
+    if (dirty) save('picks', picks);
+  }
+
+  const declared = repo.get(key('declaredwinners'));
+  if (Array.isArray(declared) && declared.some(w => typeof w === 'string')) {
+    save('declaredwinners', declared.map(w => {
+      if (typeof w !== 'string') return w;
+      return { gameId: teamGame(w)?.id ?? null, winner: w };
+    }));
+  }
+
+  return changed;
+}
+
+function migrateAllGameIds() {
+  const changed = [];
+  try {
+    for (const week of repo.games.weeks()) changed.push(...migrateGameIdsForWeek(week));
+  } catch (e) {
+    console.warn('⚠️ Game ID migration failed:', e?.message);
+  }
+  return changed;
+}
+
+// ===== TEAM NAME MAP + SCORES NORMALIZER =====
+function loadTeamNameMap() {
+  const j = repo.teamNameMap.get();
+  return j && typeof j === 'object' ? j : {};
+}
+
+function mapToMascot(name, map) {
+  if (!name) return '';
+  // direct key or trimmed key
+  return map[name] || map[String(name).trim()] || name;
+}
+
+function sameTeam(a, b) {
   return normalizeName(a) === normalizeName(b);
 }
 
@@ -639,11 +1405,10 @@ function sameTeam(a, b) {
 function verifyNormalizeScores(week, incomingScores) {
   const report = { week, matched: 0, swapped: 0, dropped: [], unmatchedGames: [] };
 
-  const gamesPath = path.join(dataDir, `games_week_${week}.json`);
-  if (!fs.existsSync(gamesPath)) {
+  if (!repo.games.has(week)) {
     throw new Error(`Missing games_week_${week}.json`);
   }
-  const games = JSON.parse(fs.readFileSync(gamesPath, 'utf8')) || [];
+  const games = repo.games.get(week, []) || [];
   const map = loadTeamNameMap();
 
   const used = new Set();
@@ -672,11 +1437,14 @@ function verifyNormalizeScores(week, incomingScores) {
     if (needsSwap) report.swapped++;
 
     ordered.push({
+      gameId: g.id ?? null,
       date: s.date || '',
       team1: g1,
       score1: needsSwap ? s.score2 : s.score1,
       team2: g2,
-      score2: needsSwap ? s.score1 : s.score2
+      score2: needsSwap ? s.score1 : s.score2,
+      status: normalizeGameStatus(s.status, schemas.hasBothScores(s) ? 'final' : 'scheduled'),
+      ...(s.statusReason ? { statusReason: s.statusReason } : {})
     });
     report.matched++;
   }
@@ -692,39 +1460,67 @@ function verifyNormalizeScores(week, incomingScores) {
 // ---------- Winners calculation ----------
 // --------- Winners calculation ---------
 function calculateTotalWinners(week) {
-  const scoresPath   = path.join(dataDir, `scores_week_${week}.json`);
-  const gamesPath    = path.join(dataDir, `games_week_${week}.json`);
-  const detailPath   = path.join(dataDir, `winners_detail_week_${week}.json`);
-  const winnersPath  = path.join(dataDir, `declaredwinners_week_${week}.json`);
-
-  if (!fs.existsSync(scoresPath) || !fs.existsSync(gamesPath)) {
+  if (!repo.scores.has(week) || !repo.games.has(week)) {
     console.log(`❌ Missing scores or games file for Week ${week}`);
     return;
   }
 
-  const scores = JSON.parse(fs.readFileSync(scoresPath, 'utf8'));
-  const games  = JSON.parse(fs.readFileSync(gamesPath,  'utf8'));
+  const scores = repo.scores.get(week, []);
+  const games  = repo.games.get(week, []);
 
   // Build a quick lookup from (team1,team2) ignoring case/extra spaces.
   const norm = s => (s || '').toString().trim().toLowerCase();
   const k = (a,b) => `${norm(a)}__${norm(b)}`;
 
+  const flip = s => ({ ...s, team1: s.team2, team2: s.team1, score1: s.score2, score2: s.score1 });
+
   const scoreMap = new Map();
+  const scoreById = new Map();
   for (const s of scores) {
     scoreMap.set(k(s.team1, s.team2), s);
     // also set reverse key if your scores sometimes flip home/away order
-    scoreMap.set(k(s.team2, s.team1), { team1: s.team2, team2: s.team1, score1: s.score2, score2: s.score1 });
+    scoreMap.set(k(s.team2, s.team1), flip(s));
+    if (s.gameId) scoreById.set(s.gameId, s);
   }
 
   const detail = [];
   const declaredWinners = [];
 
   for (const g of games) {
-    const pair = scoreMap.get(k(g.team1, g.team2));
+    // Match on the stable game ID first; team names only for legacy rows
+    const byId = g.id ? scoreById.get(g.id) : null;
+    const pair = byId
+      ? (sameTeam(byId.team1, g.team2) && sameTeam(byId.team2, g.team1) ? flip(byId) : byId)
+      : scoreMap.get(k(g.team1, g.team2));
+    const gameId = g.id ?? null;
+
+    // Cancelled/postponed (admin mark on the slate wins over the scores feed):
+    // 0 points for either side, the game still counts toward the 9 needed.
+    const gameStatus  = normalizeGameStatus(g.status);
+    // A row without both scores isn't final unless the feed says so (null = not played)
+    const complete    = pair ? schemas.hasBothScores(pair) : false;
+    const scoreStatus = pair ? normalizeGameStatus(pair.status, complete ? 'final' : 'scheduled') : null;
+    const voidStatus  = VOID_STATUSES.has(gameStatus) ? gameStatus
+                      : (scoreStatus && VOID_STATUSES.has(scoreStatus) ? scoreStatus : null);
+    if (voidStatus) {
+      detail.push({
+        gameId,
+        team1: g.team1, spread1: g.spread1,
+        team2: g.team2, spread2: g.spread2,
+        status: voidStatus,
+        voided: true,
+        reason: g.statusReason || pair?.statusReason || `Game ${voidStatus}`,
+        note: 'Voided — 0 points'
+      });
+      continue;
+    }
+
     if (!pair) {
       detail.push({
+        gameId,
         team1: g.team1, spread1: g.spread1,
         team2: g.team2, spread2: g.spread2,
+        status: gameStatus,
         note: 'No matching score found'
       });
       continue;
@@ -732,6 +1528,16 @@ function calculateTotalWinners(week) {
 
     const s1 = Number(pair.score1);
     const s2 = Number(pair.score2);
+    if (!complete) {
+      detail.push({
+        gameId,
+        team1: g.team1, spread1: g.spread1,
+        team2: g.team2, spread2: g.spread2,
+        status: scoreStatus === 'final' ? 'scheduled' : scoreStatus,
+        note: 'Score incomplete'
+      });
+      continue;
+    }
     const sp1 = Number(g.spread1 || 0);
     // Using the game rule: team1 wins if (score1 + spread1) > score2; team2 wins if <
     const lhs = s1 + sp1;
@@ -742,64 +1548,287 @@ function calculateTotalWinners(week) {
     }
 
     detail.push({
+      gameId,
       team1: g.team1, score1: s1, spread1: sp1,
       team2: g.team2, score2: s2, spread2: g.spread2 ?? null,
+      status: 'final',
       winner
     });
 
     if (winner !== 'PUSH') {
-      declaredWinners.push(winner);
+      declaredWinners.push({ gameId, winner });
     }
   }
 
-  fs.writeFileSync(detailPath,  JSON.stringify(detail,          null, 2));
-  fs.writeFileSync(winnersPath, JSON.stringify(declaredWinners, null, 2));
+  repo.winnersDetail.save(week,   detail);
+  repo.declaredWinners.save(week, declaredWinners);
   console.log(`✅ Wrote winners_detail_week_${week}.json and declaredwinners_week_${week}.json`);
 }
 
 function calculateWinnersFromList(week) {
-  const picksFile   = path.join(dataDir, `picks_week_${week}.json`);
-  const winnersFile = path.join(dataDir, `declaredwinners_week_${week}.json`);
-  const outputFile  = path.join(dataDir, `winners_week_${week}.json`);
-  const totalsFile  = path.join(dataDir, 'totals.json');
-
-  if (!fs.existsSync(picksFile) || !fs.existsSync(winnersFile)) {
+  if (!repo.picks.has(week) || !repo.declaredWinners.has(week)) {
     console.error(`❌ Missing picks or declared winners for week ${week}`);
     return;
   }
 
-  const picksData   = JSON.parse(fs.readFileSync(picksFile,   'utf8'));
-  const winnersList = JSON.parse(fs.readFileSync(winnersFile, 'utf8'));
-  const winnersSet  = new Set((winnersList || []).map(w => canonicalName(w)));
+  const picksData   = repo.picks.get(week, []);
+  const winnersList = repo.declaredWinners.get(week, []);
+  // declaredwinners rows are { gameId, winner }; older files hold bare team names
+  const winnersSet  = new Set((winnersList || []).map(w => canonicalName(typeof w === 'string' ? w : w?.winner)));
+
+  // Per-game outcome (winner, push, voided) from the detail file, keyed by game ID.
+  // Picks saved before game IDs existed fall back to team-name matching.
+  const detail = repo.winnersDetail.get(week);
+  const rows = Array.isArray(detail) ? detail : [];
+  const rowById = new Map();
+  const rowByTeam = new Map();
+  for (const d of rows) {
+    if (d?.gameId) rowById.set(d.gameId, d);
+    rowByTeam.set(canonicalName(d?.team1), d);
+    rowByTeam.set(canonicalName(d?.team2), d);
+  }
+
+  const pushPolicy = getPushPolicy();
+  const pointsPerPush = PUSH_POINTS[pushPolicy];
+  const pushedBy = new Map(); // detail row -> [{ player, pick, points }]
 
   const results = (picksData || []).map(player => {
-    const name = (player.player || '').trim();
-    const chosen = (player.picks || []).map(p => canonicalName((p.pick || '').trim()));
-    const correct = chosen.filter(c => winnersSet.has(c));
-    return { player: name, correct, total: correct.length };
+    const known = players.resolve(player.playerId || player.player);
+    const name = known ? known.name : (player.player || '').trim();
+    const correct = [];
+    const pushes = [];
+    const voided = [];
+
+    for (const p of player.picks || []) {
+      const pick = (p.pick || '').trim();
+      const c = canonicalName(pick);
+      const row = (p.gameId && rowById.get(p.gameId)) || rowByTeam.get(c);
+
+      if (row?.voided) {
+        voided.push({ pick, gameId: row.gameId ?? null, status: row.status, reason: row.reason || `Game ${row.status}` });
+      } else if (row?.winner === 'PUSH') {
+        pushes.push(pick);
+        if (!pushedBy.has(row)) pushedBy.set(row, []);
+        pushedBy.get(row).push({ player: name, pick, points: pointsPerPush });
+      } else if (row ? canonicalName(row.winner) === c : winnersSet.has(c)) {
+        correct.push(c);
+      }
+    }
+
+    const pushPoints = pushes.length * pointsPerPush;
+    return {
+      player: name,
+      ...(known ? { playerId: known.id } : {}),
+      correct, pushes, pushPoints, pushPolicy, total: correct.length + pushPoints, voided
+    };
   });
 
-  fs.writeFileSync(outputFile, JSON.stringify(results, null, 2));
+  repo.winners.save(week, results);
   console.log(`✅ winners_week_${week}.json written (per-player results)`);
 
-  // Update cumulative totals
-  let existingTotals = {};
-  if (fs.existsSync(totalsFile)) {
-    try { existingTotals = JSON.parse(fs.readFileSync(totalsFile, 'utf8')); }
-    catch { console.warn('⚠️ Failed to read existing totals.json; starting fresh'); }
+  // Flag who picked each pushed game on the detail rows
+  if (pushedBy.size) {
+    for (const d of rows) {
+      if (d?.winner !== 'PUSH' || d.voided) continue;
+      d.pushPolicy = pushPolicy;
+      d.pushedPicks = pushedBy.get(d) || [];
+    }
+    repo.winnersDetail.save(week, rows);
+  }
+
+  // Season standings are rebuilt from every week's results (never incremented)
+  rebuildStandings();
+
+  // Weekly pot follows the new results
+  try { updatePot(); }
+  catch (e) { console.warn('⚠️ Pot update failed:', e?.message); }
+}
+
+// ---------- Season standings (rebuilt from winners_week_N.json) ----------
+// totals.json keeps the legacy { player: total } map for old readers;
+// standings.json holds the ranked rows with per-week points.
+function listResultWeeks() {
+  try { return repo.winners.weeks(); }
+  catch { return []; }
+}
+
+function computeStandings() {
+  const weeks = listResultWeeks();
+  const byPlayer = new Map();
+
+  // Everyone on the roster gets a row, even before their first entry
+  for (const { name } of players.players) {
+    byPlayer.set(name, { player: name, total: 0, weeks: {} });
+  }
+
+  for (const week of weeks) {
+    const results = repo.winners.get(week);
+    if (!Array.isArray(results)) continue;
+    for (const r of results) {
+      // Results recorded under an alias or another spelling count for the roster player
+      const name = players.displayName(r?.playerId || r?.player);
+      if (!name) continue;
+      if (!byPlayer.has(name)) byPlayer.set(name, { player: name, total: 0, weeks: {} });
+      const row = byPlayer.get(name);
+      const pts = Number(r.total) || 0;
+      // A player appears once per week; keep the last row if a file has duplicates
+      row.total += pts - (row.weeks[week] || 0);
+      row.weeks[week] = pts;
+    }
+  }
+
+  // Every scored week is a column, 0 when the player had no entry
+  const rows = [...byPlayer.values()].map(row => {
+    const cols = {};
+    for (const w of weeks) cols[w] = row.weeks[w] || 0;
+    return { ...row, weeks: cols };
+  });
+
+  rows.sort((a, b) => b.total - a.total || a.player.localeCompare(b.player));
+
+  // Standard competition ranking: 1, 1, 3 ...
+  rows.forEach((row, i) => {
+    row.rank = i > 0 && rows[i - 1].total === row.total ? rows[i - 1].rank : i + 1;
+  });
+  for (const row of rows) {
+    row.tied = rows.some(o => o !== row && o.rank === row.rank);
+  }
+
+  return {
+    weeks,
+    standings: rows.map(({ rank, tied, player, total, weeks: cols }) => ({ rank, tied, player, total, weeks: cols }))
+  };
+}
+
+function rebuildStandings() {
+  const result = computeStandings();
+
+  const totals = {};
+  for (const row of result.standings) totals[row.player] = row.total;
+
+  repo.totals.save(totals);
+  repo.standings.save({ ...result, updatedAt: new Date().toISOString() });
+  console.log(`📊 Standings rebuilt from ${result.weeks.length} week(s)`);
+  return result;
+}
+
+// ---------- Pot engine (accrual, rollover, split) ----------
+// Rules: 9 of 10 correct wins the pot, no winner rolls it over,
+// multiple winners split it evenly.
+// pot.json layout:
+//   { adjustments: { "<week>": amount }, weeks: [ ...ledger rows ], updatedAt }
+// The legacy flat shape { "1": 30, "2": 0, ... } is read as adjustments.
+function getPotSettings() {
+  const s = readSettings();
+  const entryFee  = Number(s.entryFee);
+  const threshold = Number(s.potWinThreshold);
+  return {
+    entryFee:  Number.isFinite(entryFee) && entryFee >= 0 ? entryFee : 0,
+    threshold: Number.isFinite(threshold) && threshold > 0 ? threshold : 9
+  };
+}
+
+function readPotFile() {
+  try {
+    const j = repo.pot.get();
+    if (!j || typeof j !== 'object') return { adjustments: {}, weeks: [] };
+    if (j.adjustments || j.weeks) {
+      return { adjustments: j.adjustments || {}, weeks: Array.isArray(j.weeks) ? j.weeks : [] };
+    }
+    // Legacy: { "<week>": amount }
+    const adjustments = {};
+    for (const [k, v] of Object.entries(j)) {
+      if (/^\d+$/.test(k) && Number.isFinite(Number(v))) adjustments[k] = Number(v);
+    }
+    return { adjustments, weeks: [] };
+  } catch {
+    return { adjustments: {}, weeks: [] };
   }
+}
+
+// Week numbers that have picks or results stored, ascending
+function listScoredWeeks() {
+  const weeks = new Set();
+  try {
+    for (const w of repo.picks.weeks()) weeks.add(w);
+    for (const w of repo.winners.weeks()) weeks.add(w);
+  } catch {}
+  return [...weeks].sort((a, b) => a - b);
+}
+
+const roundCents = n => Math.round(n * 100) / 100;
 
-  for (const r of results) {
-    const name = (r.player || '').trim();
-    existingTotals[name] = (existingTotals[name] || 0) + (r.total || 0);
+function computePotLedger() {
+  const { entryFee, threshold } = getPotSettings();
+  const { adjustments } = readPotFile();
+
+  const weekNums = new Set(listScoredWeeks());
+  for (const k of Object.keys(adjustments)) {
+    if (Number(adjustments[k])) weekNums.add(Number(k));
   }
 
-  fs.writeFileSync(totalsFile, JSON.stringify(existingTotals, null, 2));
-  console.log('📊 totals.json updated');
+  const weeks = [];
+  let carry = 0;
+  for (const week of [...weekNums].sort((a, b) => a - b)) {
+    const picks   = repo.picks.get(week);
+    const results = repo.winners.get(week);
+
+    const entrants   = Array.isArray(picks) ? picks.length : (Array.isArray(results) ? results.length : 0);
+    const adjustment = Number(adjustments[week]) || 0;
+    const contributions = roundCents(entrants * entryFee + adjustment);
+    const carryIn = carry;
+    const total   = roundCents(carryIn + contributions);
+
+    // Without results the week is still open: the pot accrues but is not settled
+    if (!Array.isArray(results)) {
+      weeks.push({ week, status: 'pending', entrants, entryFee, adjustment, contributions, carryIn, total,
+        winners: [], payoutEach: 0, rolloverOut: total });
+      carry = total;
+      continue;
+    }
+
+    const winners = results
+      .filter(r => Number(r?.total) >= threshold)
+      .map(r => ({ player: String(r.player || '').trim(), total: Number(r.total) }));
+
+    const payoutEach  = winners.length ? Math.floor((total / winners.length) * 100) / 100 : 0;
+    const rolloverOut = winners.length ? roundCents(total - payoutEach * winners.length) : total;
+
+    weeks.push({
+      week,
+      status: winners.length ? 'won' : 'rolled_over',
+      entrants, entryFee, adjustment, contributions, carryIn, total,
+      winners, payoutEach, rolloverOut
+    });
+    carry = rolloverOut;
+  }
+
+  return { threshold, entryFee, adjustments, weeks, currentPot: carry };
+}
+
+function updatePot() {
+  const ledger = computePotLedger();
+  repo.pot.save({
+    adjustments: ledger.adjustments,
+    weeks: ledger.weeks,
+    updatedAt: new Date().toISOString()
+  }, { backup: true });
+  console.log(`💰 pot.json updated (current pot: ${ledger.currentPot})`);
+  return ledger;
+}
+
+// ---------- Upload schema checks ----------
+// Uploads are canonicalized first (dates, numbers, legacy roster rows), then must
+// match the declared schema; otherwise nothing is written and the errors come back.
+function sendSchemaErrors(res, label, errors) {
+  return res.status(422).json({
+    error: `${label} does not match the expected format.`,
+    schemaErrors: errors.slice(0, 50)
+  });
 }
 
 // ---------- JSON upload (games|scores) — with scores verify/normalize ----------
-app.post('/api/upload/json-direct', upload.single('file'), async (req, res) => {
+app.post('/api/upload/json-direct', requireAdmin('score'), upload.single('file'), async (req, res) => {
   try {
     const file = req.file;
     if (!file) return res.status(400).json({ error: 'No file uploaded.' });
@@ -811,8 +1840,8 @@ app.post('/api/upload/json-direct', upload.single('file'), async (req, res) => {
     const kind = m[1].toLowerCase();
     const week = parseInt(m[2], 10);
 
-    const targetName = `${kind}_week_${week}.json`;
-    const targetPath = path.join(dataDir, targetName);
+    const targetKey = `${kind}_week_${week}`;
+    const targetName = `${targetKey}.json`;
 
     // Read & parse JSON (upload)
     const text = fs.readFileSync(file.path, 'utf8').replace(/^\uFEFF/, '').trim();
@@ -821,52 +1850,58 @@ app.post('/api/upload/json-direct', upload.single('file'), async (req, res) => {
     catch { return res.status(400).json({ error: 'Uploaded file is not valid JSON.' }); }
 
     const force = ['true','1','yes','on'].includes(String(req.body.force || req.body.overwrite || '').toLowerCase());
-    if (fs.existsSync(targetPath) && !force) {
+    const exists = repo.has(targetKey);
+    if (exists && !force) {
       return res.status(409).json({ message: `${targetName} already exists. Overwrite?`, exists: true });
     }
-    if (fs.existsSync(targetPath) && force) {
-      const backupName = `${Date.now()}_${targetName}`;
-      fs.copyFileSync(targetPath, path.join(backupDir, backupName));
-    }
 
     // Always keep a copy of the raw upload for scores
     if (kind === 'scores') {
       const rawBackup = path.join(backupDir, `${Date.now()}_RAW_${targetName}`);
-      try { fs.writeFileSync(rawBackup, JSON.stringify(parsed, null, 2)); } catch {}
+      try { dataStore.writeJson(rawBackup, parsed); } catch {}
     }
 
-    // Save file (games as-is; scores go through verify/normalize)
+    // Save file (games get a status; scores go through verify/normalize)
+    if (!Array.isArray(parsed)) return sendSchemaErrors(res, targetName, [`${kind}: expected array`]);
+
     let savedBody = parsed;
     let verifyReport = null;
 
+    if (kind === 'games') {
+      savedBody = assignGameIds(week, schemas.normalize('games', parsed.map(g => ({ ...g, status: normalizeGameStatus(g?.status) })), { zone: leagueZone() }));
+    }
+
     if (kind === 'scores') {
       try {
-        const { ordered, report } = verifyNormalizeScores(week, Array.isArray(parsed) ? parsed : []);
+        const { ordered, report } = verifyNormalizeScores(week, schemas.normalize('scores', parsed));
         savedBody = ordered;
         verifyReport = report;
 
         // Also write a report for your review
         try {
-          fs.writeFileSync(
-            path.join(backupDir, `${Date.now()}_verify_report_week_${week}.json`),
-            JSON.stringify(report, null, 2)
-          );
+          dataStore.writeJson(path.join(backupDir, `${Date.now()}_verify_report_week_${week}.json`), report);
         } catch {}
       } catch (e) {
         return res.status(400).json({ error: `Verify/normalize failed: ${e.message}` });
       }
     }
 
-    fs.writeFileSync(targetPath, JSON.stringify(savedBody, null, 2));
+    const schemaErrors = schemas.validate(kind, savedBody);
+    if (schemaErrors.length) return sendSchemaErrors(res, targetName, schemaErrors);
+
+    repo.put(targetKey, savedBody, { backup: exists });
     console.log(`[json-direct] Saved ${targetName}${kind === 'scores' ? ' (normalized)' : ''}`);
+    audit(req, `upload.${kind}`, {
+      week,
+      summary: `${targetName} uploaded (JSON, ${Array.isArray(savedBody) ? savedBody.length : 0} rows)${exists ? ', replaced existing' : ''}`,
+      file: file.originalname, overwritten: exists
+    });
 
     // Side-effects (same as before)
     if (kind === 'games') {
+      reindexPicksForWeek(week);
       try {
-        fs.writeFileSync(
-          path.join(dataDir, 'current_week.json'),
-          JSON.stringify({ currentWeek: week }, null, 2)
-        );
+        repo.currentWeek.save({ currentWeek: week });
       } catch {}
     } else {
       try {
@@ -886,7 +1921,7 @@ app.post('/api/upload/json-direct', upload.single('file'), async (req, res) => {
 });
 
 // ---------- Excel upload: spread ----------
-app.post('/api/upload/spread', upload.single('file'), (req, res) => {
+app.post('/api/upload/spread', requireAdmin('score'), upload.single('file'), (req, res) => {
   const file = req.file;
   if (!file) return res.status(400).send('No file uploaded.');
 
@@ -894,16 +1929,12 @@ app.post('/api/upload/spread', upload.single('file'), (req, res) => {
   if (!weekMatch) return res.status(400).send('Filename must contain week number.');
   const week = parseInt(weekMatch[1], 10);
 
-  const filePath = path.join(dataDir, `games_week_${week}.json`);
-  const backupPath = path.join(backupDir, `${Date.now()}_games_week_${week}.json`);
   const force = String(req.body.force || '').toLowerCase() === 'true';
+  const exists = repo.games.has(week);
 
-  if (fs.existsSync(filePath) && !force) {
+  if (exists && !force) {
     return res.status(409).json({ message: `Week ${week} spread already exists. Overwrite?` });
   }
-  if (fs.existsSync(filePath) && force) {
-    fs.copyFileSync(filePath, backupPath);
-  }
 
   const workbook = xlsx.readFile(file.path);
   const sheet = workbook.Sheets[workbook.SheetNames[0]];
@@ -925,7 +1956,9 @@ app.post('/api/upload/spread', upload.single('file'), (req, res) => {
 
     if (!day || !date || !time || !team1 || !matchup) continue;
 
-    const fullDate = `${day} ${date} ${formatExcelTime(time)}`;
+    // The date cell may come through as an Excel serial day number
+    const dateText = typeof date === 'number' ? gameTime.formatInZone(gameTime.parseKickoff(date, 'UTC'), 'UTC').slice(0, 10) : date;
+    const fullDate = `${day} ${dateText} ${formatExcelTime(time)}`;
     const cleanTeam2 = typeof matchup === 'string' && matchup.includes(' at') ? matchup.replace(' at', '').trim() : matchup?.trim();
     const cleanTeam1 = team1?.trim();
 
@@ -938,15 +1971,25 @@ app.post('/api/upload/spread', upload.single('file'), (req, res) => {
     const spread2 = cleanSpread(spread2Raw);
 
     if (cleanTeam1 && cleanTeam2 && !isNaN(spread1) && !isNaN(spread2)) {
-      games.push({ date: fullDate, team1: cleanTeam1, spread1, team2: cleanTeam2, spread2 });
+      games.push({ date: fullDate, team1: cleanTeam1, spread1, team2: cleanTeam2, spread2, status: 'scheduled' });
     }
   }
 
-  fs.writeFileSync(filePath, JSON.stringify(games, null, 2));
-  fs.writeFileSync(path.join(dataDir, 'current_week.json'), JSON.stringify({ currentWeek: week }, null, 2));
+  const slate = assignGameIds(week, schemas.normalize('games', games, { zone: leagueZone() }));
+  const schemaErrors = schemas.validate('games', slate);
+  if (schemaErrors.length) return sendSchemaErrors(res, `games_week_${week}.json`, schemaErrors);
+
+  repo.games.save(week, slate, { backup: exists });
+  repo.currentWeek.save({ currentWeek: week });
+  reindexPicksForWeek(week);
+  audit(req, 'upload.games', {
+    week,
+    summary: `games_week_${week}.json uploaded (Excel, ${games.length} games)${exists ? ', replaced existing' : ''}`,
+    file: file.originalname, overwritten: exists
+  });
 
   try {
-    uploadJsonToDrive && uploadJsonToDrive(filePath, `games_week_${week}.json`)
+    uploadJsonToDrive && uploadJsonToDrive(path.join(dataDir, `games_week_${week}.json`), `games_week_${week}.json`)
       .then(id => console.log(`✅ Spread also uploaded to Drive. File ID: ${id}`))
       .catch(err => console.error('❌ Drive upload failed:', err.message));
   } catch {
@@ -957,7 +2000,7 @@ app.post('/api/upload/spread', upload.single('file'), (req, res) => {
 });
 
 // ---------- Excel upload: scores (auto-calc) ----------
-app.post('/api/upload/scores', upload.single('file'), (req, res) => {
+app.post('/api/upload/scores', requireAdmin('score'), upload.single('file'), (req, res) => {
   const file = req.file;
   if (!file) return res.status(400).send('No file uploaded.');
 
@@ -965,16 +2008,12 @@ app.post('/api/upload/scores', upload.single('file'), (req, res) => {
   if (!weekMatch) return res.status(400).send('Filename must contain week number.');
   const week = parseInt(weekMatch[1], 10);
 
-  const filePath = path.join(dataDir, `scores_week_${week}.json`);
-  const backupPath = path.join(backupDir, `${Date.now()}_scores_week_${week}.json`);
   const force = String(req.body.force || '').toLowerCase() === 'true';
+  const exists = repo.scores.has(week);
 
-  if (fs.existsSync(filePath) && !force) {
+  if (exists && !force) {
     return res.status(409).json({ message: `Week ${week} scores already exist. Overwrite?` });
   }
-  if (fs.existsSync(filePath) && force) {
-    fs.copyFileSync(filePath, backupPath);
-  }
 
   const workbook = xlsx.readFile(file.path);
   const sheet = workbook.Sheets[workbook.SheetNames[0]];
@@ -984,20 +2023,22 @@ app.post('/api/upload/scores', upload.single('file'), (req, res) => {
   for (let i = 1; i < rows.length; i++) {
     const row = rows[i];
     if (!row || row.length < 5) continue;
+    // Blank score cells stay null (not played), not 0
+    const raw = { score1: row[2], score2: row[4] };
     rawScores.push({
       date: row[0],
       team1: row[1]?.toString().trim(),
-      score1: Number(row[2]),
+      score1: raw.score1,
       team2: row[3]?.toString().trim(),
-      score2: Number(row[4])
+      score2: raw.score2,
+      status: normalizeGameStatus(row[5], schemas.hasBothScores(raw) ? 'final' : 'scheduled')
     });
   }
 
-  const gamesPath = path.join(dataDir, `games_week_${week}.json`);
-  if (!fs.existsSync(gamesPath)) return res.status(400).send(`Missing games_week_${week}.json`);
-  const spreadGames = JSON.parse(fs.readFileSync(gamesPath, 'utf8'));
+  const spreadGames = repo.games.get(week);
+  if (!Array.isArray(spreadGames)) return res.status(400).send(`Missing games_week_${week}.json`);
 
-  const orderedScores = spreadGames.map(game => {
+  const orderedScores = schemas.normalize('scores', spreadGames.map(game => {
     const g1 = normalizeName(game.team1);
     const g2 = normalizeName(game.team2);
     const match = rawScores.find(s => {
@@ -1011,23 +2052,32 @@ app.post('/api/upload/scores', upload.single('file'), (req, res) => {
     }
     const needsSwap = normalizeName(match.team1) !== g1;
     return {
+      gameId: game.id ?? null,
       date: match.date,
       team1: needsSwap ? match.team2 : match.team1,
       score1: needsSwap ? match.score2 : match.score1,
       team2: needsSwap ? match.team1 : match.team2,
-      score2: needsSwap ? match.score1 : match.score2
+      score2: needsSwap ? match.score1 : match.score2,
+      status: match.status
     };
-  }).filter(Boolean);
+  }).filter(Boolean));
+  const schemaErrors = schemas.validate('scores', orderedScores);
+  if (schemaErrors.length) return sendSchemaErrors(res, `scores_week_${week}.json`, schemaErrors);
 
-  fs.writeFileSync(filePath, JSON.stringify(orderedScores, null, 2));
+  repo.scores.save(week, orderedScores, { backup: exists });
   console.log(`✅ scores_week_${week}.json saved with corrected order.`);
+  audit(req, 'upload.scores', {
+    week,
+    summary: `scores_week_${week}.json uploaded (Excel, ${orderedScores.length} of ${spreadGames.length} games matched)${exists ? ', replaced existing' : ''}`,
+    file: file.originalname, overwritten: exists
+  });
 
   // Auto-calc winners + points
   calculateTotalWinners(week);
   calculateWinnersFromList(week);
 
   try {
-    uploadJsonToDrive && uploadJsonToDrive(filePath, `scores_week_${week}.json`)
+    uploadJsonToDrive && uploadJsonToDrive(path.join(dataDir, `scores_week_${week}.json`), `scores_week_${week}.json`)
       .then(id => console.log(`✅ Scores also uploaded to Drive. File ID: ${id}`))
       .catch(err => console.error('❌ Drive upload failed:', err.message));
   } catch {
@@ -1038,27 +2088,21 @@ app.post('/api/upload/scores', upload.single('file'), (req, res) => {
 });
 
 // ---------- Roster upload (Excel) — with Balance ----------
-app.post('/api/upload/roster', upload.single('file'), (req, res) => {
+app.post('/api/upload/roster', requireAdmin('manage'), memoryUpload.single('file'), (req, res) => {
   const file = req.file;
   if (!file) return res.status(400).send('No file uploaded.');
 
-  const filePath  = path.join(dataDir, 'roster.json');
-  const backupPath = path.join(backupDir, `${Date.now()}_roster.json`);
   const ext = path.extname(file.originalname).toLowerCase();
 
   if (!['.xlsx', '.xls'].includes(ext)) {
     return res.status(400).send('Unsupported file type. Please upload an Excel (.xlsx/.xls) file.');
   }
 
-  // Backup existing roster.json (if any)
-  try {
-    if (fs.existsSync(filePath)) {
-      fs.copyFileSync(filePath, backupPath);
-    }
-  } catch { /* ignore backup errors */ }
+  // Backup existing roster (if any)
+  repo.backup(repo.roster.key);
 
   try {
-    const workbook = xlsx.readFile(file.path);
+    const workbook = xlsx.read(file.buffer, { type: 'buffer' });
     const sheet = workbook.Sheets[workbook.SheetNames[0]];
     const raw = xlsx.utils.sheet_to_json(sheet, { header: 1 });
 
@@ -1072,6 +2116,8 @@ app.post('/api/upload/roster', upload.single('file'), (req, res) => {
     const idxPin  = header.findIndex(h => h === 'pin' || h === 'passcode' || h === 'password');
     // Accept common variants for balance
     const idxBal  = header.findIndex(h => ['balance','paid','payment','amount'].includes(h));
+    // Optional: other names the player may sign in with, comma-separated
+    const idxAli  = header.findIndex(h => h === 'aliases' || h === 'alias');
 
     if (idxName === -1 || idxPin === -1) {
       return res.status(400).send('Missing "Name" and/or "PIN" columns in roster file.');
@@ -1084,266 +2130,413 @@ app.post('/api/upload/roster', upload.single('file'), (req, res) => {
       return Number.isFinite(n) ? n : 0;
     };
 
-    const roster = raw.slice(1).map((row, i) => {
+    const rows = raw.slice(1).map((row, i) => {
       const name = row[idxName]?.toString().trim();
       const pin  = row[idxPin]?.toString().trim();
       const bal  = idxBal === -1 ? 0 : toNumber(row[idxBal]);
+      const aliases = idxAli === -1 ? undefined : String(row[idxAli] ?? '');
 
       if (!name || !pin) return null;
-      return { name, pin, Balance: bal };
+      return { name, pin, Balance: bal, ...(aliases !== undefined ? { aliases } : {}) };
     }).filter(Boolean);
 
-    fs.writeFileSync(filePath, JSON.stringify(roster, null, 2));
+    // Players already on the roster keep their id (and aliases unless the sheet has the column)
+    const before = repo.roster.get([]);
+    const prevDir = identity.buildDirectory(before);
+    for (const row of rows) {
+      if (row.aliases === undefined) row.aliases = prevDir.resolve(row.name)?.aliases || [];
+    }
+    // plain PINs -> salted hashes; ids assigned / carried over
+    const roster = identity.assignPlayerIds(schemas.normalize('roster', rows), before);
+
+    const conflicts = identity.findIdentityConflicts(roster);
+    if (conflicts.length) {
+      return res.status(422).json({ error: 'Roster names/aliases must identify one player each', conflicts });
+    }
+    const schemaErrors = schemas.validate('roster', roster);
+    if (schemaErrors.length) return sendSchemaErrors(res, 'Roster', schemaErrors);
+
+    repo.roster.save(roster);
+    audit(req, 'roster.upload', {
+      summary: `Roster uploaded: ${roster.length} players (was ${Array.isArray(before) ? before.length : 0})`,
+      file: file.originalname
+    });
     return res.send(`✅ Roster uploaded. ${roster.length} players saved with Balance.`);
   } catch (err) {
     console.error('❌ Failed to parse roster:', err);
     return res.status(500).send('Failed to process roster file.');
   }
 });
-// ---- Auth probe for frontend (Game Name + PIN check; case-sensitive name) ----
-app.post('/api/authenticate', (req, res) => {
-  const src = req.body || {};
-  const name = (src.name ?? src.gameName ?? src.game_name ?? '').toString();
-  const pin  = (src.pin  ?? src.PIN      ?? src.pin_code  ?? '').toString();
 
-  if (!rosterIndex.size) {
-    return res.status(503).json({ ok: false, error: 'Roster unavailable' });
-  }
-  if (authenticatePlayerExact(name, pin)) {
-    return res.json({ ok: true });
-  }
-  return res.status(401).json({
-    ok: false,
-    error: 'Invalid Game Name or PIN (check spelling/case).'
+// ---------- Players (ids / aliases) ----------
+app.get('/api/admin/players', requireAdmin('read'), (req, res) => {
+  res.json({
+    players: players.players.map(p => ({
+      id: p.id, name: p.name, aliases: p.aliases, hasPin: !!p.pinHash, mustChangePin: !!p.row.mustChangePin
+    }))
   });
 });
+
+// Replace a player's login aliases: { aliases: ["MB", "mblaster"] } (or a comma-separated string)
+app.post('/api/admin/players/:id/aliases', requireAdmin('manage'), express.json(), async (req, res) => {
+  const player = players.byId(req.params.id);
+  if (!player) return res.status(404).json({ error: 'Unknown player id' });
+
+  const raw = req.body?.aliases;
+  const list = (Array.isArray(raw) ? raw : String(raw ?? '').split(','))
+    .map(a => String(a).trim())
+    .filter(a => a && identity.nameKey(a) !== identity.nameKey(player.name));
+  const aliases = [...new Map(list.map(a => [identity.nameKey(a), a])).values()];
+
+  let conflicts = [];
+  try {
+    await repo.roster.update([], rows => {
+      const next = rows.map(r => (r?.id === player.id ? { ...r, aliases } : r));
+      conflicts = identity.findIdentityConflicts(next);
+      return conflicts.length ? dataStore.SKIP : next;
+    }, { backup: true });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  if (conflicts.length) return res.status(409).json({ error: 'Alias already identifies another player', conflicts });
+
+  audit(req, 'roster.aliases', { summary: `Aliases for ${player.name}: ${aliases.join(', ') || '(none)'}`, playerId: player.id, aliases });
+  res.json({ ok: true, id: player.id, name: player.name, aliases });
+});
 // -------------------------------------------------------------------------------
 
-// ---------- Picks submission (FINAL — deny duplicate submissions) ----------
-app.post('/submit-picks/:week', requireValidPlayer, (req, res) => {
+// Admin reset: a generated temporary PIN the player must change at next sign-in.
+// The PIN is returned once and not logged anywhere.
+app.post('/api/admin/players/:id/reset-pin', requireAdmin('manage'), async (req, res) => {
+  const player = players.byId(req.params.id);
+  if (!player) return res.status(404).json({ error: 'Unknown player id' });
+
+  const tempPin = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
   try {
-    const weekParam = parseInt(req.params.week, 10);
-    const week = Number.isFinite(weekParam) && weekParam > 0 ? weekParam : 1;
+    const row = await updateRosterRow(player.id, r => ({
+      ...r,
+      pinHash: hashPin(tempPin),
+      mustChangePin: true,
+      pinChangedAt: new Date().toISOString()
+    }));
+    if (!row) return res.status(404).json({ error: 'Unknown player id' });
+  } catch (e) {
+    return res.status(500).json({ error: e.message });
+  }
+  loginGuard.clear({ scope: 'target', key: playerTarget(player.id) });
+  audit(req, 'roster.pin_reset', { summary: `Temporary PIN issued for ${player.name}`, playerId: player.id });
+  res.json({ ok: true, id: player.id, name: player.name, tempPin, mustChangePin: true });
+});
 
-    // Respect your existing Thursday cutoff guard (it already runs earlier in the file)
+// ---------- Pick validation against the week's slate ----------
+// Rules: only pick from games on the sheet, exactly N teams (settings.requiredPicks,
+// default 10) — only the first N count. Errors are per pick so the UI can flag rows.
+const aliasMapPath = path.join(__dirname, 'sidecar', 'alias-map.json');
 
-    // Accept common field names from the frontend
-    const name = String(
-      (req.body?.name ?? req.body?.gameName ?? req.body?.player ?? req.body?.playerName ?? '')
-    ).trim();
-    const pin  = String((req.body?.pin ?? req.body?.PIN ?? req.body?.password ?? '')).trim();
-    const picksIn = Array.isArray(req.body?.picks) ? req.body.picks : null;
+function getRequiredPicks() {
+  const n = Number(readSettings().requiredPicks);
+  return Number.isInteger(n) && n > 0 ? n : 10;
+}
 
-    if (!name || !pin || !picksIn) {
-      return res.status(400).json({ success: false, error: 'Missing data.' });
+// short name -> full name, from the sidecar alias map and team_name_map.json
+function loadTeamAliases() {
+  const out = {};
+  const sidecar = safeReadJSON(aliasMapPath);
+  if (sidecar && typeof sidecar === 'object') {
+    for (const section of Object.values(sidecar)) {
+      if (section && typeof section === 'object') Object.assign(out, section);
     }
+  }
+  return Object.assign(out, loadTeamNameMap());
+}
+
+function teamKey(name, aliases) {
+  const bare = stripParenSpreads(name);
+  return canonicalName(aliases[bare] || aliases[String(name ?? '').trim()] || bare);
+}
 
-    // Normalize picks -> [{gameIndex:Number, pick:String}]
-    const picks = picksIn
-      .map(p => ({
-        gameIndex: Number(p?.gameIndex),
-        pick: String(p?.pick || '').trim(),
-      }))
-      .filter(p => Number.isFinite(p.gameIndex) && p.pick);
+function isSameTeamName(a, b, aliases) {
+  return teamKey(a, aliases) === teamKey(b, aliases) || sameTeam(stripParenSpreads(a), stripParenSpreads(b));
+}
 
-    if (picks.length === 0) {
-      return res.status(400).json({ success: false, error: 'No valid picks.' });
+/**
+ * Check submitted picks against games_week_{week}.json (and, with a late grant,
+ * against that grant's limits instead of the week's locks). `previous` is the card
+ * being amended: its picks on games that have since locked may be resent unchanged.
+ * Returns { picks, errors, ignored, required } — picks carry the slate's own team name.
+ */
+function validatePicksAgainstSlate(week, picksIn, { grant = null, previous = null } = {}) {
+  const required = getRequiredPicks();
+  const rawGames = repo.games.get(week);
+  const games = Array.isArray(rawGames) ? assignGameIds(week, rawGames) : null;
+  if (!games || !games.length) {
+    return { picks: [], errors: [{ index: null, code: 'no_slate', error: `No games published for Week ${week}.` }], ignored: [], required };
+  }
+
+  const aliases = loadTeamAliases();
+  // Kickoff mode: games already under way can't be picked (global mode is gated before this).
+  // A late grant replaces the lock: nothing closed, or only games that have kicked off.
+  const lockedIds = grant
+    ? (grant.unstartedOnly ? kickedOffGameIds(week) : new Set())
+    : new Set(gameLocks(week).filter(l => l.locked).map(l => l.gameId));
+  const counted = (picksIn || []).slice(0, required);
+  const ignored = (picksIn || []).slice(required);
+  const errors = [];
+  const picks = [];
+  const taken = new Map(); // gameId -> side picked
+
+  counted.forEach((p, index) => {
+    const pick = String(p?.pick || '').trim();
+    const gid = String(p?.gameId || '').trim();
+    const gi = Number(p?.gameIndex);
+    const fail = (code, error) =>
+      errors.push({ index, gameId: gid || null, gameIndex: Number.isFinite(gi) ? gi : null, pick, code, error });
+
+    if (!pick) return fail('missing_pick', 'Pick is empty.');
+
+    // Prefer the stated game (gameId, then legacy gameIndex); fall back to
+    // finding the team anywhere on the slate
+    let gameIndex = -1;
+    if (gid) {
+      gameIndex = games.findIndex(g => g.id === gid);
+      if (gameIndex === -1) return fail('unknown_game', `Game ${gid} is not on this week's sheet.`);
+    } else if (Number.isInteger(gi) && gi >= 0 && gi < games.length) {
+      gameIndex = gi;
     }
-    if (picks.length > 10) {
-      return res.status(400).json({ success: false, error: 'Max 10 picks allowed.' });
+    let game = gameIndex !== -1 ? games[gameIndex] : null;
+    if (game && !isSameTeamName(pick, game.team1, aliases) && !isSameTeamName(pick, game.team2, aliases)) {
+      return fail('team_not_in_game', `${pick} is not playing in that game.`);
     }
-
-    const filename = path.join(dataDir, `picks_week_${week}.json`);
-    let data = [];
-    if (fs.existsSync(filename)) {
-      try {
-        data = JSON.parse(fs.readFileSync(filename, 'utf8') || '[]');
-      } catch {
-        return res.status(500).json({ success: false, error: 'Error reading picks file.' });
-      }
+    if (!game) {
+      gameIndex = games.findIndex(g => isSameTeamName(pick, g.team1, aliases) || isSameTeamName(pick, g.team2, aliases));
+      if (gameIndex === -1) return fail('team_not_on_slate', `${pick} is not on this week's sheet.`);
+      game = games[gameIndex];
     }
 
-    // 🔒 If this player already submitted for this week, reject (no overwrite)
-    const already = data.some(e => (e.player || '').trim().toLowerCase() === name.toLowerCase());
-    if (already) {
-      return res.status(409).json({
-        success: false,
-        alreadySubmitted: true,
-        error: 'Your picks for this week have already been submitted.'
-      });
+    const kept = (previous || []).some(p => (p.gameId ? p.gameId === game.id : p.gameIndex === gameIndex) &&
+      isSameTeamName(pick, p.pick, aliases));
+    if (lockedIds.has(game.id) && !kept) {
+      return fail('game_locked', `${game.team1} vs ${game.team2} has kicked off; picks for it are closed.`);
     }
+    const side = isSameTeamName(pick, game.team1, aliases) ? 'team1' : 'team2';
+    if (taken.has(game.id)) {
+      return taken.get(game.id) === side
+        ? fail('duplicate_pick', `${game[side]} is already picked.`)
+        : fail('conflicting_pick', `Both sides of ${game.team1} vs ${game.team2} are picked.`);
+    }
+    taken.set(game.id, side);
+    picks.push({ gameId: game.id, gameIndex, pick: game[side] });
+  });
 
-    // Best-effort backup before writing
-    try {
-      if (fs.existsSync(filename)) {
-        fs.mkdirSync(backupDir, { recursive: true });
-        fs.copyFileSync(filename, path.join(backupDir, `${Date.now()}_picks_week_${week}.json`));
-      }
-    } catch { /* ignore backup errors */ }
-
-    // Append as a new entry (never overwrite)
-    data.push({ player: name, pin, picks, week, submittedAt: new Date().toISOString() });
+  // An amendment keeps every earlier pick on a game that has locked since: it can't
+  // be dropped, switched, or traded for a pick on a game that is still open
+  for (const prev of previous || []) {
+    const game = (prev.gameId && games.find(g => g.id === prev.gameId)) ||
+      (Number.isInteger(prev.gameIndex) ? games[prev.gameIndex] : null);
+    if (!game || !lockedIds.has(game.id)) continue;
+    if (picks.some(p => p.gameId === game.id && isSameTeamName(p.pick, prev.pick, aliases))) continue;
+    errors.push({
+      index: null,
+      gameId: game.id,
+      gameIndex: games.indexOf(game),
+      pick: prev.pick,
+      code: 'game_locked',
+      error: `${game.team1} vs ${game.team2} has kicked off; your pick of ${prev.pick} must stay on your card.`
+    });
+  }
 
-    fs.writeFileSync(filename, JSON.stringify(data, null, 2));
-    return res.json({ success: true });
-  } catch {
-    return res.status(500).json({ success: false, error: 'Failed to save picks.' });
+  if (!errors.length && picks.length < required) {
+    errors.push({ index: null, code: 'pick_count', error: `Exactly ${required} picks are required (got ${picks.length}).` });
   }
-});
-// --- Compatibility alias so the frontend can POST /api/submit-picks with { week, player, pin, picks }
-app.post('/api/submit-picks', async (req, res) => {
-  try {
-    // Week: body.week if provided; else read current_week.json; else 1
-    let week = Number(req.body?.week);
-    if (!Number.isFinite(week) || week <= 0) {
-      try {
-        const cw = JSON.parse(
-          fs.readFileSync(path.join(dataDir, 'current_week.json'), 'utf8')
-        );
-        week = cw?.currentWeek ?? cw?.week ?? 1;
-      } catch {
-        week = 1;
-      }
+  return { picks, errors, ignored, required };
+}
+
+function sendPickErrors(res, result) {
+  return res.status(400).json({
+    success: false,
+    error: result.errors.length === 1 ? result.errors[0].error : 'Some picks are invalid.',
+    required: result.required,
+    pickErrors: result.errors
+  });
+}
+
+// The player's stored card for a week, or null
+function picksEntryOf(week, player) {
+  const data = repo.picks.get(week);
+  return Array.isArray(data) ? data.find(e => isEntryOf(e, player)) || null : null;
+}
+
+// Store a validated card. The first one is appended; until the week locks a new one
+// replaces it and the old card moves to `revisions`. Once locked (late grant or not)
+// an existing card stands. `previous` is the card the new one was validated against;
+// if another request replaced it meanwhile the save is refused ('stale').
+// -> { status: 'created'|'amended'|'closed'|'stale', revision }
+async function savePicksEntry(req, week, picks, grant, previous) {
+  const card = { submittedAt: new Date().toISOString(), ...(grant ? { lateGrantId: grant.id } : {}), picks };
+  let result = null;
+  // Serialized per week: concurrent submissions apply one after the other
+  await repo.picks.update(week, [], data => {
+    const i = data.findIndex(e => isEntryOf(e, req.player));
+    if (i === -1) {
+      data.push({ player: req.player.name, playerId: req.player.id, week, ...card });
+      result = { status: 'created', revision: 1 };
+      return data;
     }
+    if (isLockedNow(week)) {
+      result = { status: 'closed' };
+      return dataStore.SKIP;
+    }
+    if (JSON.stringify(data[i].picks || []) !== JSON.stringify(previous || [])) {
+      result = { status: 'stale' };
+      return dataStore.SKIP;
+    }
+    const { submittedAt, lateGrantId, picks: oldPicks, revisions = [], ...rest } = data[i];
+    const prior = { ...(submittedAt ? { submittedAt } : {}), ...(lateGrantId ? { lateGrantId } : {}), picks: oldPicks || [] };
+    data[i] = { ...rest, player: req.player.name, playerId: req.player.id, week, ...card, revisions: [...revisions, prior] };
+    result = { status: 'amended', revision: revisions.length + 2 };
+    return data;
+  }, { backup: true });
+  return result;
+}
 
-    const name = String(
-      req.body?.player ?? req.body?.playerName ?? req.body?.gameName ?? ''
-    ).trim();
-    const pin = String(
-      req.body?.pin ?? req.body?.PIN ?? req.body?.password ?? ''
-    ).trim();
+// ---------- Picks submission (amendable until the lock) ----------
+// Both routes below land here once the week is known; the cutoff pre-guard has already run
+async function submitPicks(req, res, week) {
+  try {
+    const name = req.player.name; // verified by requirePlayerSession
     const picksIn = Array.isArray(req.body?.picks) ? req.body.picks : [];
 
-    if (!name || !pin || picksIn.length === 0) {
+    if (picksIn.length === 0) {
       return res.status(400).json({ success: false, error: 'Missing data.' });
     }
-    if (picksIn.length > 10) {
-      return res.status(400).json({ success: false, error: 'Max 10 picks allowed.' });
+
+    // The pre-guard let a locked week through on a late grant; it must be this player's
+    const grant = lateGrantFor(req);
+    if (req.lateGrant && !grant && isLockedNow(week)) {
+      return res.status(403).json({ success: false, error: 'Pick submissions are closed.' });
     }
 
-    // Normalize picks -> [{gameIndex:Number, pick:String}]
-    const picks = picksIn
-      .map(p => ({
-        gameIndex: Number(p?.gameIndex),
-        pick: String(p?.pick || '').trim(),
-      }))
-      .filter(p => Number.isFinite(p.gameIndex) && p.pick);
+    // Validate against the slate -> [{gameId, gameIndex, pick}]
+    const previous = picksEntryOf(week, req.player)?.picks || null;
+    const checked = validatePicksAgainstSlate(week, picksIn, { grant, previous });
+    if (checked.errors.length) return sendPickErrors(res, checked);
+    const picks = checked.picks;
 
-    const filename = path.join(dataDir, `picks_week_${week}.json`);
-    let data = [];
-    if (fs.existsSync(filename)) {
-      try {
-        data = JSON.parse(fs.readFileSync(filename, 'utf8') || '[]');
-      } catch {
-        return res.status(500).json({ success: false, error: 'Error reading picks file.' });
-      }
+    let saved;
+    try {
+      saved = await savePicksEntry(req, week, picks, grant, previous);
+    } catch {
+      return res.status(500).json({ success: false, error: 'Error reading picks file.' });
     }
-
-    // Deny duplicate submissions by player (case-insensitive)
-    const already = data.some(
-      e => (e.player || '').trim().toLowerCase() === name.toLowerCase()
-    );
-    if (already) {
+    if (saved.status === 'stale') {
+      return res.status(409).json({ success: false, error: 'Your picks changed while saving. Reload and try again.' });
+    }
+    if (saved.status === 'closed') {
       return res.status(409).json({
         success: false,
         alreadySubmitted: true,
-        error: 'Your picks for this week have already been submitted.',
+        error: 'Your picks for this week have already been submitted.'
       });
     }
 
-    // Optional: backup existing file
-    try {
-      if (fs.existsSync(filename)) {
-        fs.mkdirSync(backupDir, { recursive: true });
-        fs.copyFileSync(
-          filename,
-          path.join(backupDir, `${Date.now()}_picks_week_${week}.json`)
-        );
-      }
-    } catch { /* ignore backup errors */ }
-
-    data.push({
-      player: name,
-      pin,
-      picks,
+    const amended = saved.status === 'amended';
+    audit(req, amended ? 'picks.amend' : 'picks.submit', {
+      actor: name,
       week,
-      submittedAt: new Date().toISOString(),
+      summary: amended ? `Picks revised (revision ${saved.revision})` : `${picks.length} picks submitted`,
+      picks: picks.map(p => p.pick)
+    });
+    if (grant) await recordLateGrantUse(req, grant, week, picks.length);
+    return res.json({
+      success: true,
+      amended,
+      revision: saved.revision,
+      ...(checked.ignored.length ? { ignoredPicks: checked.ignored.length } : {})
     });
-
-    fs.writeFileSync(filename, JSON.stringify(data, null, 2));
-    return res.json({ success: true });
   } catch (err) {
-    console.error('submit-picks alias error:', err);
+    console.error('submit-picks error:', err);
     return res.status(500).json({ success: false, error: 'Failed to save picks.' });
   }
-});
-// ---------- Picks stats (submitted/missing) ----------
-app.get('/api/stats/picks', (req, res) => {
-  const week = Number(req.query.week) || getCurrentWeekNumber();
-  const rosterPath = path.join(dataDir, 'roster.json');
-  const picksPath  = path.join(dataDir, `picks_week_${week}.json`);
-
-  // 1) Read roster display names
-  let rosterNames = [];
-  try {
-    if (fs.existsSync(rosterPath)) {
-      const r = JSON.parse(fs.readFileSync(rosterPath, 'utf8'));
-      const rows = Array.isArray(r) ? r : Object.values(r || {});
-      rosterNames = rows
-        .map(v => (typeof v === 'string' ? v : (v?.name || v?.gameName || v?.player || '')))
-        .map(s => String(s || '').trim())
-        .filter(Boolean);
-    }
-  } catch {}
-
-  // 2) Canonicalizer (reuse your normalizeName to make it case/space robust)
-  const canon = (s) => normalizeName(String(s || '').trim());
+}
 
-  // Map canonical -> display name from roster
-  const rosterCanonToDisplay = new Map(
-    rosterNames.map(n => [canon(n), n])
-  );
+app.post('/submit-picks/:week', requirePlayerSession, (req, res) => {
+  const weekParam = parseInt(req.params.week, 10);
+  return submitPicks(req, res, Number.isFinite(weekParam) && weekParam > 0 ? weekParam : 1);
+});
+// --- Compatibility alias so the frontend can POST /api/submit-picks with { week, picks } (+ session token)
+app.post('/api/submit-picks', requirePlayerSession, (req, res) => {
+  // Week: body.week if provided; else read current_week.json; else 1
+  let week = Number(req.body?.week);
+  if (!Number.isFinite(week) || week <= 0) {
+    const cw = repo.currentWeek.get();
+    week = cw?.currentWeek ?? cw?.week ?? 1;
+  }
+  return submitPicks(req, res, week);
+});
+// The signed-in player's own card for a week with every earlier revision (oldest first)
+app.get('/api/player/picks/:week/history', requirePlayerSession, (req, res) => {
+  const week = parseInt(req.params.week, 10);
+  if (!Number.isFinite(week) || week <= 0) return res.status(400).json({ error: 'Invalid week' });
+  const entry = picksEntryOf(week, req.player);
+  const cards = entry ? [...(entry.revisions || []), { submittedAt: entry.submittedAt, lateGrantId: entry.lateGrantId, picks: entry.picks }] : [];
+  res.json({
+    week,
+    player: req.player.name,
+    locked: isLockedNow(week),
+    revisions: cards.map((c, i) => ({
+      revision: i + 1,
+      current: i === cards.length - 1,
+      submittedAt: c.submittedAt || null,
+      ...(c.lateGrantId ? { lateGrant: true } : {}),
+      picks: (c.picks || []).map(p => ({ gameId: p.gameId ?? null, gameIndex: p.gameIndex ?? null, pick: p.pick }))
+    }))
+  });
+});
 
-  // 3) Build canonical set of submitted names (only entries with 10+ picks)
-  let submittedCanonSet = new Set();
+// ---------- Picks stats (submitted/missing) ----------
+// Roster players with and without a full card for a week (also pushed as picks:count)
+function picksStats(week) {
+  // Submitted = roster players with a full card this week (entries matched by id, name or alias)
+  const submittedIds = new Set();
   try {
-    if (fs.existsSync(picksPath)) {
-      const p = JSON.parse(fs.readFileSync(picksPath, 'utf8')) || [];
-      const submitted = p
-        .filter(row => Array.isArray(row?.picks) && row.picks.length >= 10)
-        .map(row => String(row?.player || row?.gameName || row?.name || '').trim())
-        .filter(Boolean);
-      submittedCanonSet = new Set(submitted.map(canon));
+    if (repo.picks.has(week)) {
+      const required = getRequiredPicks();
+      for (const row of repo.picks.get(week) || []) {
+        if (!Array.isArray(row?.picks) || row.picks.length < required) continue;
+        const p = players.resolve(row?.playerId || row?.player || row?.gameName || row?.name);
+        if (p) submittedIds.add(p.id);
+      }
     }
   } catch {}
 
-  // 4) Display lists (resolve canonical back to pretty roster names)
-  const names_submitted = [...submittedCanonSet]
-    .map(c => rosterCanonToDisplay.get(c) || c)
-    .sort();
-
-  const names_missing = [...rosterCanonToDisplay.keys()]
-    .filter(c => !submittedCanonSet.has(c))
-    .map(c => rosterCanonToDisplay.get(c))
-    .sort();
+  const names_submitted = players.players.filter(p => submittedIds.has(p.id)).map(p => p.name).sort();
+  const names_missing = players.players.filter(p => !submittedIds.has(p.id)).map(p => p.name).sort();
 
-  res.json({
+  return {
     week,
-    now_cst: new Date().toLocaleString('en-US', { timeZone: 'America/Chicago' }),
-    total_roster: rosterNames.length,
+    total_roster: players.size,
     submitted_count: names_submitted.length,
     missing_count: names_missing.length,
     names_submitted,
     names_missing
+  };
+}
+
+app.get('/api/stats/picks', (req, res) => {
+  const week = Number(req.query.week) || getCurrentWeekNumber();
+  res.json({
+    week,
+    now_cst: new Date().toLocaleString('en-US', { timeZone: leagueZone() }),
+    ...picksStats(week)
   });
 });
 
 // ---------- Utility / Info ----------
 app.get('/api/currentWeek', (req, res) => {
-  const filePath = path.join(dataDir, 'current_week.json');
-  if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'Current week not set' });
+  if (!repo.currentWeek.has()) return res.status(404).json({ error: 'Current week not set' });
   try {
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    const data = repo.currentWeek.get();
+    if (!data) throw new Error('unreadable');
     res.json(data);
   } catch {
     res.status(500).json({ error: 'Failed to read current week file' });
@@ -1351,26 +2544,215 @@ app.get('/api/currentWeek', (req, res) => {
 });
 
 app.get('/api/totals', (req, res) => {
-  const filePath = path.join(dataDir, 'totals.json');
-  if (!fs.existsSync(filePath)) return res.json([]);
   try {
-    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    const asArray = Object.entries(data).map(([player, total]) => ({ player, total }));
-    res.json(asArray);
+    res.json(computeStandings().standings);
   } catch {
-    res.status(500).json({ error: 'Failed to read totals file' });
+    res.status(500).json({ error: 'Failed to compute standings' });
+  }
+});
+
+// Rebuild totals.json + standings.json from every winners_week_N.json
+app.post('/api/standings/recompute', requireAdmin('score'), (req, res) => {
+  try {
+    const result = rebuildStandings();
+    try { updatePot(); } catch (e) { console.warn('⚠️ Pot update failed:', e?.message); }
+    audit(req, 'recalc.standings', { summary: `Standings rebuilt from ${result.weeks.length} week(s)` });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error('POST /api/standings/recompute error', e);
+    res.status(500).json({ error: 'Failed to recompute standings' });
+  }
+});
+
+// ---------- Pot ----------
+app.get('/api/pot', (req, res) => {
+  try {
+    res.json(computePotLedger());
+  } catch (e) {
+    console.error('GET /api/pot error', e);
+    res.status(500).json({ error: 'Failed to compute pot' });
+  }
+});
+
+app.get('/api/pot/:week', (req, res) => {
+  const week = parseInt(req.params.week, 10);
+  if (!Number.isFinite(week) || week <= 0) return res.status(400).json({ error: 'Invalid week' });
+  try {
+    const ledger = computePotLedger();
+    const row = ledger.weeks.find(w => w.week === week);
+    if (!row) return res.status(404).json({ error: `No pot data for Week ${week}` });
+    res.json({ threshold: ledger.threshold, ...row });
+  } catch (e) {
+    console.error('GET /api/pot/:week error', e);
+    res.status(500).json({ error: 'Failed to compute pot' });
+  }
+});
+
+// ---------- Season-end tiebreaker (#1 CFL team pick) ----------
+// Rules: highest season total wins; a tie on points goes to whoever picked
+// the final No. 1 team; still tied → split the pot.
+// tiebreakers.json: { picks: { "<player>": { team, submittedAt } }, finalNumberOne: { team, setAt } | null }
+
+function readTiebreakers() {
+  const j = repo.tiebreakers.get();
+  return {
+    picks: (j && typeof j.picks === 'object' && j.picks) || {},
+    finalNumberOne: (j && j.finalNumberOne) || null
+  };
+}
+
+function writeTiebreakers(obj) {
+  repo.tiebreakers.save(obj, { backup: true });
+}
+
+// The slate's own spelling of a team from any published week, or null when the
+// name (or an alias of it) isn't playing anywhere this season
+function seasonTeamName(name) {
+  const aliases = loadTeamAliases();
+  for (const week of repo.listWeeks('games')) {
+    const games = repo.games.get(week, []);
+    for (const g of Array.isArray(games) ? games : []) {
+      for (const team of [g?.team1, g?.team2]) {
+        if (team && isSameTeamName(name, team, aliases)) return stripParenSpreads(team);
+      }
+    }
+  }
+  return null;
+}
+
+// Registration closes when Week 1 locks (open while Week 1 has no slate yet)
+function isTiebreakerLocked() {
+  const cutoff = computeCutoffForWeek(1);
+  return !!cutoff && new Date() >= cutoff;
+}
+
+function computeSeasonFinal() {
+  const { standings, weeks } = computeStandings();
+  const { picks, finalNumberOne } = readTiebreakers();
+  const finalTeam = finalNumberOne?.team || null;
+  // Picks are keyed by name; an alias or old spelling still counts for the player
+  const pickFor = new Map(Object.entries(picks).map(([name, p]) => [players.displayName(name), p]));
+
+  const rows = standings.map(row => {
+    const pick = pickFor.get(row.player)?.team || null;
+    return {
+      ...row,
+      tiebreakerPick: pick,
+      tiebreakerHit: !!(finalTeam && pick && canonicalName(pick) === canonicalName(finalTeam))
+    };
+  });
+
+  const topTotal = rows.length ? rows[0].total : null;
+  const leaders  = rows.filter(r => r.total === topTotal);
+
+  let winners = leaders;
+  let resolvedBy = 'points';
+  if (leaders.length > 1) {
+    const hits = leaders.filter(r => r.tiebreakerHit);
+    if (!finalTeam) {
+      resolvedBy = 'pending_final_team';
+    } else if (hits.length === 1) {
+      winners = hits;
+      resolvedBy = 'tiebreaker';
+    } else {
+      // Nobody (or several) picked the No. 1 team → split among them
+      if (hits.length > 1) winners = hits;
+      resolvedBy = 'split';
+    }
+  }
+
+  const potAmount  = computePotLedger().currentPot;
+  const payoutEach = winners.length ? Math.floor((potAmount / winners.length) * 100) / 100 : 0;
+
+  return {
+    weeks,
+    finalNumberOne: finalTeam,
+    resolvedBy,
+    winners: winners.map(r => r.player),
+    potAmount,
+    payoutEach,
+    standings: rows
+  };
+}
+
+// Player registers (or changes) their #1 team pick before Week 1 locks
+app.post('/api/tiebreaker', requirePlayerSession, (req, res) => {
+  const entered = String(req.body?.team ?? req.body?.pick ?? '').trim();
+  if (!entered) return res.status(400).json({ ok: false, error: 'Missing team.' });
+  if (entered.length > 100) return res.status(400).json({ ok: false, error: 'Team name too long.' });
+  const team = seasonTeamName(entered);
+  if (!team) return res.status(400).json({ ok: false, error: `${entered} is not on any published slate.` });
+
+  if (isTiebreakerLocked()) {
+    return res.status(403).json({
+      ok: false,
+      error: 'Tiebreaker picks closed when Week 1 locked.',
+      cutoffISO: computeCutoffForWeek(1)?.toISOString() || null
+    });
+  }
+
+  try {
+    const tb = readTiebreakers();
+    // One pick per player: drop any entry stored under an alias or older spelling
+    for (const key of Object.keys(tb.picks)) {
+      if (players.resolve(key)?.id === req.player.id) delete tb.picks[key];
+    }
+    tb.picks[req.player.name] = { team, submittedAt: new Date().toISOString() };
+    writeTiebreakers(tb);
+    audit(req, 'tiebreaker.submit', { actor: req.player.name, summary: `Tiebreaker pick: ${team}` });
+    return res.json({ ok: true, player: req.player.name, team });
+  } catch (e) {
+    console.error('POST /api/tiebreaker error', e);
+    return res.status(500).json({ ok: false, error: 'Failed to save tiebreaker pick.' });
+  }
+});
+
+// Picks stay hidden until Week 1 locks, same as weekly picks
+app.get('/api/tiebreaker', (req, res) => {
+  const { picks, finalNumberOne } = readTiebreakers();
+  const locked = isTiebreakerLocked();
+  res.json({
+    locked,
+    cutoffISO: computeCutoffForWeek(1)?.toISOString() || null,
+    count: Object.keys(picks).length,
+    finalNumberOne: finalNumberOne?.team || null,
+    ...(locked ? { picks: Object.entries(picks).map(([player, p]) => ({ player, team: p.team })) } : {})
+  });
+});
+
+// Admin enters the final No. 1 team after Week 14
+app.post('/api/admin/tiebreaker/final', requireAdmin('score'), (req, res) => {
+  const entered = String(req.body?.team || '').trim();
+  const team = entered ? seasonTeamName(entered) : '';
+  if (entered && !team) return res.status(400).json({ error: `${entered} is not on any published slate.` });
+  try {
+    const tb = readTiebreakers();
+    tb.finalNumberOne = team ? { team, setAt: new Date().toISOString() } : null;
+    writeTiebreakers(tb);
+    audit(req, 'tiebreaker.final', { summary: team ? `Final No. 1 set to ${team}` : 'Final No. 1 cleared' });
+    return res.json({ ok: true, finalNumberOne: tb.finalNumberOne?.team || null });
+  } catch (e) {
+    console.error('POST /api/admin/tiebreaker/final error', e);
+    return res.status(500).json({ error: 'Failed to save final No. 1 team.' });
+  }
+});
+
+app.get('/api/standings/final', (req, res) => {
+  try {
+    res.json(computeSeasonFinal());
+  } catch (e) {
+    console.error('GET /api/standings/final error', e);
+    res.status(500).json({ error: 'Failed to compute final standings' });
   }
 });
 
 app.get('/api/games', (req, res) => {
-  const currentWeekPath = path.join(dataDir, 'current_week.json');
-  if (!fs.existsSync(currentWeekPath)) return res.status(404).json({ error: 'Current week not set' });
+  if (!repo.currentWeek.has()) return res.status(404).json({ error: 'Current week not set' });
   try {
-    const current = JSON.parse(fs.readFileSync(currentWeekPath, 'utf8'));
-    const week = current.currentWeek;
-    const gamesPath = path.join(dataDir, `games_week_${week}.json`);
-    if (!fs.existsSync(gamesPath)) return res.status(404).json({ error: 'Games not found for current week' });
-    const games = JSON.parse(fs.readFileSync(gamesPath, 'utf8'));
+    const week = repo.currentWeek.get().currentWeek;
+    if (!repo.games.has(week)) return res.status(404).json({ error: 'Games not found for current week' });
+    const games = repo.games.get(week);
+    if (!games) throw new Error('unreadable');
     res.json(games);
   } catch {
     res.status(500).json({ error: 'Failed to load games data' });
@@ -1379,12 +2761,15 @@ app.get('/api/games', (req, res) => {
 
 app.post('/api/check-player-picks', (req, res) => {
   const { week, playerName } = req.body || {};
-  const filePath = path.join(dataDir, `picks_week_${week}.json`);
-  if (!fs.existsSync(filePath)) return res.json({ alreadyPicked: false });
+  if (!repo.isValidKey(repo.picks.key(week)) || !repo.picks.has(week)) return res.json({ alreadyPicked: false });
   try {
-    const picksData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-    const found = picksData.some(entry => (entry.player || '').toLowerCase() === (playerName || '').toLowerCase());
-    res.json({ alreadyPicked: found });
+    const picksData = repo.picks.get(week) || [];
+    const player = players.resolve(playerName);
+    const found = player
+      ? picksData.some(entry => isEntryOf(entry, player))
+      : picksData.some(entry => identity.nameKey(entry.player) === identity.nameKey(playerName));
+    // A card on file can still be replaced until the week locks
+    res.json({ alreadyPicked: found, canAmend: found && !isLockedNow(week) });
   } catch {
     res.json({ alreadyPicked: false });
   }
@@ -1393,10 +2778,9 @@ app.post('/api/check-player-picks', (req, res) => {
 // ---------- NEW: Robust /api/rules ----------
 app.get('/api/rules', (req, res) => {
   try {
-    const p = path.join(dataDir, 'rules.json');
-    if (!fs.existsSync(p)) return res.json({ rulesText: '' });
+    const raw = repo.getText(repo.rules.key);
+    if (raw == null) return res.json({ rulesText: '' });
 
-    const raw = fs.readFileSync(p, 'utf8');
     let parsed;
     try { parsed = JSON.parse(raw); } catch {
       // If it's not valid JSON, return raw text
@@ -1415,163 +2799,525 @@ app.get('/api/rules', (req, res) => {
   }
 });
 
-// ---------- Chat (roster-restricted) ----------
-app.get('/api/check-roster', (req, res) => {
-  try {
-    const q = (req.query.name || '').toString().trim();
-    if (!q) return res.json({ allowed: false });
+// ---------- Admin: mark a game cancelled / postponed ----------
+// Body: { gameId }, { gameIndex } or { team1, team2 }, plus { status, reason }
+app.post('/api/admin/game-status/:week', requireAdmin('score'), (req, res) => {
 
-    const rosterPath = path.join(dataDir, 'roster.json');
-    if (!fs.existsSync(rosterPath)) return res.json({ allowed: false });
+  const week = parseInt(req.params.week, 10);
+  if (!Number.isFinite(week) || week <= 0) return res.status(400).json({ error: 'Invalid week' });
 
-    const raw = fs.readFileSync(rosterPath, 'utf8');
-    let roster = [];
-    try { roster = JSON.parse(raw); } catch { return res.json({ allowed: false }); }
+  const status = String(req.body?.status || '').trim().toLowerCase();
+  if (!GAME_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${GAME_STATUSES.join(', ')}` });
+  }
+  const reason = String(req.body?.reason || '').trim().slice(0, 200);
+
+  const games = repo.games.get(week);
+  if (!Array.isArray(games)) return res.status(404).json({ error: `Missing games_week_${week}.json` });
+
+  const gameId = String(req.body?.gameId || '').trim();
+  const gameIndex = Number(req.body?.gameIndex);
+  const idx = gameId
+    ? games.findIndex(g => g.id === gameId)
+    : Number.isInteger(gameIndex)
+    ? gameIndex
+    : games.findIndex(g =>
+        (sameTeam(g.team1, req.body?.team1) && sameTeam(g.team2, req.body?.team2)) ||
+        (sameTeam(g.team1, req.body?.team2) && sameTeam(g.team2, req.body?.team1)));
+  if (idx < 0 || idx >= games.length) return res.status(404).json({ error: 'Game not found' });
+
+  try {
+    const game = games[idx];
+    games[idx] = { ...game, status, ...(reason ? { statusReason: reason } : {}) };
+    if (!reason) delete games[idx].statusReason;
+    repo.games.save(week, games, { backup: true });
+
+    // Keep the scores row in step so the feed can't un-void the game
+    const scores = repo.scores.get(week);
+    if (Array.isArray(scores)) {
+      const sIdx = scores.findIndex(s =>
+        (game.id && s.gameId === game.id) ||
+        (sameTeam(s.team1, game.team1) && sameTeam(s.team2, game.team2)) ||
+        (sameTeam(s.team1, game.team2) && sameTeam(s.team2, game.team1)));
+      if (sIdx !== -1) {
+        scores[sIdx] = { ...scores[sIdx], status, ...(reason ? { statusReason: reason } : {}) };
+        if (!reason) delete scores[sIdx].statusReason;
+        repo.scores.save(week, scores, { backup: true });
+      }
 
-    const norm = s => s.toString().trim().toLowerCase();
-    const allowed = Array.isArray(roster) && roster.some(r => {
-      if (typeof r === 'string') return norm(r) === norm(q);
-      if (r && typeof r.name === 'string') return norm(r.name) === norm(q);
-      return false;
+      calculateTotalWinners(week);
+      calculateWinnersFromList(week);
+    }
+
+    console.log(`🛑 Week ${week} game ${idx} (${game.team1} vs ${game.team2}) marked ${status}`);
+    audit(req, 'game.status', {
+      week,
+      summary: `${game.team1} vs ${game.team2}: ${game.status || 'scheduled'} → ${status}${reason ? ` (${reason})` : ''}`,
+      gameId: game.id ?? null
     });
+    return res.json({ ok: true, week, gameId: game.id ?? null, gameIndex: idx, game: games[idx] });
+  } catch (e) {
+    console.error('POST /api/admin/game-status error', e);
+    return res.status(500).json({ error: 'Failed to update game status.' });
+  }
+});
 
-    return res.json({ allowed: !!allowed });
-  } catch {
-    return res.json({ allowed: false });
+// ---------- Reset / Debug ----------
+app.post('/api/reset-system', requireAdmin('manage'), (req, res) => {
+  try {
+    const weekKeyPatterns = [
+      /^games_week_\d+$/, /^scores_week_\d+$/, /^picks_week_\d+$/,
+      /^winners_week_\d+$/, /^winners_detail_week_\d+$/, /^declaredwinners_week_\d+$/
+    ];
+    repo.list().forEach(({ key }) => { if (weekKeyPatterns.some(rx => rx.test(key))) repo.remove(key); });
+
+    repo.currentWeek.save({ currentWeek: 1 });
+    repo.totals.save({});
+    repo.standings.save({ weeks: [], standings: [] });
+    repo.put('cumulative_scores', {});
+    repo.pot.save({ adjustments: {}, weeks: [] });
+    repo.tiebreakers.save({ picks: {}, finalNumberOne: null });
+
+    audit(req, 'system.reset', { summary: 'All week files removed; core files reset to Week 1' });
+    res.send('✅ System reset complete. All week files removed and core files reset to Week 1.');
+  } catch (err) {
+    console.error('❌ Reset failed:', err);
+    res.status(500).send('Reset failed. Check server logs for details.');
   }
 });
 
-app.get('/api/chat', (req, res) => {
-  const filePath = path.join(dataDir, 'chat.json');
-  fs.readFile(filePath, 'utf8', (err, data) => {
-    if (err) return res.json([]);
-    try { res.json(JSON.parse(data)); }
-    catch { res.json([]); }
-  });
+app.all('/api/calculate-totalwinners/:week', requireAdmin('score'), (req, res) => {
+  const week = parseInt(req.params.week, 10);
+  calculateTotalWinners(week);
+  calculateWinnersFromList(week);
+  audit(req, 'recalc.week', { week, summary: `Winners recalculated for Week ${week}` });
+  res.send(`✅ Calculating total winners for Week ${week}`);
 });
 
-app.post('/api/chat', (req, res) => {
-  const chatPath   = path.join(dataDir, 'chat.json');
-  const rosterPath = path.join(dataDir, 'roster.json');
+// ---------- Download catalog ----------
+// Only these artifacts can be downloaded, each through its public view.
+// access: 'player' = any signed-in player or admin, 'admin' = admin with read permission.
+// Links from POST /api/admin/downloads/links carry a signed, expiring ?t= token instead.
+const DOWNLOADS = {
+  games:     { label: 'Weekly slate',           weekly: true,  access: 'player', key: w => repo.games.key(w) },
+  scores:    { label: 'Weekly scores',          weekly: true,  access: 'player', key: w => repo.scores.key(w) },
+  winners:   { label: 'Weekly results',         weekly: true,  access: 'player', key: w => repo.winners.key(w) },
+  picks:     { label: 'Weekly picks',           weekly: true,  access: 'player', key: w => repo.picks.key(w) },
+  totals:    { label: 'Season totals',          weekly: false, access: 'player', key: () => repo.totals.key },
+  standings: { label: 'Standings (JSON or CSV)', weekly: false, access: 'player', key: () => repo.standings.key, csv: true },
+  roster:    { label: 'Roster (names, balance)', weekly: false, access: 'admin',  key: () => repo.roster.key }
+};
 
-  const nameRaw = (req.body?.name || '').toString().trim();
-  const messageRaw = (req.body?.message || '').toString().trim();
+// 'admin' | 'player' | null for the caller's own credentials
+function downloadAccess(req) {
+  const admin = adminFromRequest(req);
+  if (admin && admins.can(admin.role, 'read')) return 'admin';
+  return playerFromToken(sessions.tokenFromRequest(req)) ? 'player' : null;
+}
 
-  // Basic input checks
-  if (!nameRaw || !messageRaw) {
-    return res.status(400).json({ error: 'Missing name or message.' });
+// Catalog entry that serves a stored document key (roster, picks_week_3, ...), or null
+function downloadItemForKey(key) {
+  const week = Number(String(key).match(/_week_(\d+)$/)?.[1]) || null;
+  return Object.values(DOWNLOADS).find(item => (item.weekly ? week && item.key(week) : item.key()) === key) || null;
+}
+
+const canDownload = (level, item) => level === 'admin' || (level === 'player' && item.access === 'player');
+
+function weeksFor(type) {
+  try { return repo[type].weeks(); }
+  catch { return []; }
+}
+
+function standingsCsv() {
+  const doc = repo.standings.get({ weeks: [], standings: [] }) || {};
+  const weeks = doc.weeks || [];
+  const cell = v => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v));
+  const lines = [['Rank', 'Player', 'Total', ...weeks.map(w => `Week ${w}`)].join(',')];
+  for (const r of doc.standings || []) {
+    lines.push([r.rank, r.player, r.total, ...weeks.map(w => r.weeks?.[w] ?? 0)].map(cell).join(','));
   }
-  if (messageRaw.length > 1000) {
-    return res.status(400).json({ error: 'Message too long.' });
+  return lines.join('\n') + '\n';
+}
+
+// Send one catalog item: { type, week, format } already checked for access
+function sendDownload(res, { type, week, format }) {
+  const item = DOWNLOADS[type];
+  if (item.weekly && type === 'picks' && !shouldRevealPicksNow(week)) {
+    return res.status(403).json({ error: 'All Players’ picks are currently hidden.', week });
   }
+  const key = item.key(week);
+  if (format === 'csv') {
+    if (!repo.has(key)) return res.status(404).json({ error: 'Not available yet' });
+    return res.attachment(`${key}.csv`).type('text/csv').send(standingsCsv());
+  }
+  const text = publicDocText(key);
+  if (text == null) return res.status(404).json({ error: 'Not available yet' });
+  return res.attachment(`${key}.json`).type('application/json').send(text);
+}
 
-  // Roster enforcement
-  try {
-    if (!fs.existsSync(rosterPath)) {
-      return res.status(403).json({ error: 'Only registered game names may post in chat.' });
+// Validate type/week/format from a request or link -> { type, week, format } or { error }
+function parseDownload(type, weekRaw, formatRaw) {
+  const item = DOWNLOADS[type];
+  if (!item) return { error: 'Unknown download type', status: 404 };
+  const week = item.weekly ? Number(weekRaw) || getCurrentWeekNumber() : null;
+  if (item.weekly && !(Number.isInteger(week) && week > 0)) return { error: 'Invalid week', status: 400 };
+  const format = String(formatRaw || 'json').toLowerCase();
+  if (format !== 'json' && !(format === 'csv' && item.csv)) return { error: `Format ${format} not offered for ${type}`, status: 400 };
+  return { type, week, format };
+}
+
+// What the caller may download, with the weeks on file
+app.get('/api/downloads', (req, res) => {
+  const level = downloadAccess(req);
+  if (!level) return res.status(401).json({ error: 'Sign in to see downloads' });
+  const items = Object.entries(DOWNLOADS)
+    .filter(([, item]) => canDownload(level, item))
+    .map(([type, item]) => ({
+      type,
+      label: item.label,
+      formats: item.csv ? ['json', 'csv'] : ['json'],
+      ...(item.weekly ? { weeks: weeksFor(type) } : { available: repo.has(item.key()) })
+    }));
+  res.json({ access: level, items });
+});
+
+// GET /api/downloads/games?week=3, /api/downloads/standings?format=csv, or a signed link (?t=)
+app.get('/api/downloads/:type', (req, res) => {
+  const link = req.query.t ? sessions.verifyToken(String(req.query.t)) : null;
+  if (req.query.t) {
+    if (!link || link.role !== 'download' || link.type !== req.params.type) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
     }
-    const raw = fs.readFileSync(rosterPath, 'utf8');
-    const roster = JSON.parse(raw);
-    const norm = s => s.toString().trim().toLowerCase();
+    const parsed = parseDownload(link.type, link.week, link.format);
+    if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+    return sendDownload(res, parsed);
+  }
 
-    const isOnRoster = Array.isArray(roster) && roster.some(r => {
-      if (typeof r === 'string') return norm(r) === norm(nameRaw);
-      if (r && typeof r.name === 'string') return norm(r.name) === norm(nameRaw);
-      return false;
-    });
+  const parsed = parseDownload(req.params.type, req.query.week, req.query.format);
+  if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+  const level = downloadAccess(req);
+  if (!level) return res.status(401).json({ error: 'Sign in to download' });
+  if (!canDownload(level, DOWNLOADS[parsed.type])) return res.status(403).json({ error: 'Not available to your account' });
+  return sendDownload(res, parsed);
+});
+
+// Signed link for emailing: { type, week?, format?, expiresInHours? (default 72, max 720) }
+app.post('/api/admin/downloads/links', requireAdmin('score'), (req, res) => {
+  const b = req.body || {};
+  const parsed = parseDownload(String(b.type || ''), b.week, b.format);
+  if (parsed.error) return res.status(parsed.status).json({ error: parsed.error });
+  const hours = Math.min(Math.max(Number(b.expiresInHours) || 72, 1), 720);
+  const { token, expiresAt } = sessions.createToken(
+    { role: 'download', type: parsed.type, week: parsed.week, format: parsed.format, by: req.admin.username },
+    { ttlSeconds: hours * 3600 }
+  );
+  const url = `${req.protocol}://${req.get('host')}/api/downloads/${parsed.type}?t=${encodeURIComponent(token)}`;
+  audit(req, 'download.link', {
+    week: parsed.week,
+    summary: `Download link for ${parsed.type}${parsed.week ? ` week ${parsed.week}` : ''} (${parsed.format}), ${hours}h`,
+    expiresAt
+  });
+  res.json({ ok: true, url, expiresAt });
+});
+
+// Old links (/api/download/games_week_3.json) map onto the catalog; nothing else is served
+app.get('/api/download/:filename', (req, res) => {
+  const m = String(req.params.filename).match(/^([a-z]+)(?:_week_(\d+))?\.(json|csv)$/i);
+  const item = m && DOWNLOADS[m[1].toLowerCase()];
+  if (!item || item.weekly !== !!m[2]) return res.status(404).send('File not found.');
+  const query = new URLSearchParams({ ...(m[2] ? { week: m[2] } : {}), format: m[3].toLowerCase() });
+  return res.redirect(307, `/api/downloads/${m[1].toLowerCase()}?${query}`);
+});
 
-    if (!isOnRoster) {
-      return res.status(403).json({ error: 'Only registered game names may post in chat.' });
+app.get('/api/debug/files', requireAdmin('read'), (req, res) => {
+  try {
+    const files = repo.list()
+      .map(({ key, size, modified }) => ({ name: `${key}.json`, size, modified: modified.toLocaleString() }));
+  res.json({ count: files.length, files });
+  } catch (err) {
+    console.error('❌ Failed to list files:', err);
+    res.status(500).json({ error: 'Failed to list files' });
+  }
+});
+
+// ---------- Backups (browse / diff / restore) ----------
+// Structural diff: [{ path, op: 'added'|'removed'|'changed', from, to }]
+function diffJson(from, to, at = '', out = []) {
+  if (out.length >= 500) return out;
+  const isObj = v => v && typeof v === 'object';
+  if (isObj(from) && isObj(to) && Array.isArray(from) === Array.isArray(to)) {
+    const keys = Array.isArray(from)
+      ? [...Array(Math.max(from.length, to.length)).keys()]
+      : [...new Set([...Object.keys(from), ...Object.keys(to)])];
+    for (const k of keys) {
+      const p = Array.isArray(from) ? `${at}[${k}]` : (at ? `${at}.${k}` : k);
+      if (!(k in to)) out.push({ path: p, op: 'removed', from: from[k] });
+      else if (!(k in from)) out.push({ path: p, op: 'added', to: to[k] });
+      else diffJson(from[k], to[k], p, out);
     }
-  } catch {
-    return res.status(500).json({ error: 'Roster validation failed.' });
+    return out;
   }
+  if (JSON.stringify(from) !== JSON.stringify(to)) out.push({ path: at || '(root)', op: 'changed', from, to });
+  return out;
+}
 
-  const newMessage = {
-    name: nameRaw,
-    message: messageRaw,
-    timestamp: new Date().toISOString(),
-  };
+// Credentials never leave the server, not even to read-only admins browsing
+// roster/admins backups; a change to one still shows up, just without values.
+// Older roster backups may predate hashing and hold a plain `pin`.
+const SECRET_FIELDS = new Set(['pin', 'pinHash', 'pinSalt', 'passwordHash']);
+function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== 'object') return value;
+  return Object.fromEntries(Object.entries(value)
+    .map(([k, v]) => [k, SECRET_FIELDS.has(k) ? '[redacted]' : redactSecrets(v)]));
+}
+function redactChange(change) {
+  const field = change.path.split('.').pop();
+  const out = { ...change };
+  for (const side of ['from', 'to']) {
+    if (side in out) out[side] = SECRET_FIELDS.has(field) ? '[redacted]' : redactSecrets(out[side]);
+  }
+  return out;
+}
 
-  // Save + keep last 50; back up existing file
-  fs.readFile(chatPath, 'utf8', (err, data) => {
-    let messages = [];
-    if (!err) {
-      try {
-        messages = JSON.parse(data);
-        if (fs.existsSync(chatPath)) {
-          const backupPath = path.join(backupDir, `${Date.now()}_chat.json`);
-          try { fs.copyFileSync(chatPath, backupPath); } catch {}
-        }
-      } catch {}
+// Re-run whatever depends on a restored document
+function afterRestore(key) {
+  const m = key.match(/^(games|scores|picks|declaredwinners)_week_(\d+)$/);
+  if (m) {
+    const week = Number(m[2]);
+    if (m[1] === 'games') reindexPicksForWeek(week);
+    if (repo.scores.has(week)) {
+      calculateTotalWinners(week);
+      calculateWinnersFromList(week);
+      return 'rescored';
     }
-    messages.push(newMessage);
-    fs.writeFile(chatPath, JSON.stringify(messages.slice(-50), null, 2), e => {
-      if (e) return res.status(500).json({ error: 'Failed to save message' });
-      res.json({ success: true });
+    return null;
+  }
+  if (/^winners_week_\d+$/.test(key)) {
+    rebuildStandings();
+    try { updatePot(); } catch (e) { console.warn('⚠️ Pot update failed:', e?.message); }
+    return 'standings_rebuilt';
+  }
+  return null;
+}
+
+// GET /api/admin/backups[?key=scores_week_3] — grouped by logical file, newest first
+app.get('/api/admin/backups', requireAdmin('read'), (req, res) => {
+  try {
+    const only = String(req.query.key || '').trim();
+    const groups = new Map();
+    for (const b of repo.listBackups()) {
+      if (only && b.key !== only) continue;
+      if (!groups.has(b.key)) {
+        groups.set(b.key, { key: b.key, exists: repo.isValidKey(b.key) && repo.has(b.key), count: 0, backups: [] });
+      }
+      const g = groups.get(b.key);
+      g.count++;
+      g.backups.push({ id: b.id, createdAt: b.createdAt, size: b.size, raw: b.raw, restorable: b.restorable });
+    }
+    const files = [...groups.values()].sort((a, b) => a.key.localeCompare(b.key, undefined, { numeric: true }));
+    res.json({ count: files.reduce((n, g) => n + g.count, 0), files });
+  } catch (e) {
+    console.error('GET /api/admin/backups error', e);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+// GET /api/admin/backups/:id/diff — what restoring this backup would change
+app.get('/api/admin/backups/:id/diff', requireAdmin('read'), (req, res) => {
+  const entry = repo.listBackups().find(b => b.id === req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Backup not found' });
+  try {
+    const backup  = repo.readBackup(entry.id);
+    const current = repo.get(entry.key);
+    const changes = diffJson(current, backup);
+    res.json({
+      id: entry.id, key: entry.key, createdAt: entry.createdAt,
+      currentExists: repo.has(entry.key),
+      identical: changes.length === 0,
+      changeCount: changes.length,
+      truncated: changes.length >= 500,
+      changes: changes.map(redactChange)
     });
-  });
+  } catch (e) {
+    console.error('GET /api/admin/backups/:id/diff error', e);
+    res.status(500).json({ error: 'Backup is not readable JSON' });
+  }
 });
 
-// ---------- Reset / Debug / Download ----------
-app.post('/api/reset-system', (req, res) => {
+// POST /api/admin/backups/:id/restore — current version is backed up first
+app.post('/api/admin/backups/:id/restore', requireAdmin('manage'), (req, res) => {
+  const entry = repo.listBackups().find(b => b.id === req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Backup not found' });
+  if (!entry.restorable) return res.status(400).json({ error: `${entry.id} is a report/raw upload and cannot be restored` });
+
+  let body;
+  try { body = repo.readBackup(entry.id); }
+  catch { return res.status(422).json({ error: 'Backup is not readable JSON' }); }
+
   try {
-    const files = fs.readdirSync(dataDir);
-    const weekFilePatterns = [
-      /^games_week_\d+\.json$/, /^scores_week_\d+\.json$/, /^picks_week_\d+\.json$/,
-      /^winners_week_\d+\.json$/, /^winners_detail_week_\d+\.json$/, /^declaredwinners_week_\d+\.json$/
-    ];
-    files.forEach(file => { if (weekFilePatterns.some(rx => rx.test(file))) fs.unlinkSync(path.join(dataDir, file)); });
+    repo.put(entry.key, body, { backup: true });
+    let followUp = null;
+    try { followUp = afterRestore(entry.key); }
+    catch (e) { console.warn('⚠️ Post-restore recalculation failed:', e?.message); }
+    console.log(`♻️ Restored ${entry.key} from ${entry.id}${followUp ? ` (${followUp})` : ''}`);
+    const wk = entry.key.match(/_week_(\d+)$/);
+    audit(req, 'backup.restore', {
+      week: wk ? wk[1] : null,
+      summary: `${entry.key} restored from ${entry.id}${followUp ? ` (${followUp})` : ''}`
+    });
+    res.json({ ok: true, key: entry.key, restoredFrom: entry.id, followUp });
+  } catch (e) {
+    console.error('POST /api/admin/backups/:id/restore error', e);
+    res.status(500).json({ error: 'Restore failed' });
+  }
+});
 
-    fs.writeFileSync(path.join(dataDir, 'current_week.json'), JSON.stringify({ currentWeek: 1 }, null, 2));
-    fs.writeFileSync(path.join(dataDir, 'totals.json'), JSON.stringify({}, null, 2));
-    fs.writeFileSync(path.join(dataDir, 'cumulative_scores.json'), JSON.stringify({}, null, 2));
+// ---------- Backup retention ----------
+// Settings: backupRetention = { keepLast, keepDailyDays, pruneIntervalHours }
+// Per file: always keep the newest `keepLast`, plus the newest backup of each
+// day for the last `keepDailyDays` days. Everything older is deleted.
+const BACKUP_RETENTION_DEFAULTS = { keepLast: 20, keepDailyDays: 30, pruneIntervalHours: 6 };
+
+function getBackupRetention() {
+  const r = readSettings().backupRetention || {};
+  const int = (v, min, dflt) => (Number.isInteger(Number(v)) && Number(v) >= min ? Number(v) : dflt);
+  return {
+    keepLast:           int(r.keepLast, 1, BACKUP_RETENTION_DEFAULTS.keepLast),
+    keepDailyDays:      int(r.keepDailyDays, 0, BACKUP_RETENTION_DEFAULTS.keepDailyDays),
+    pruneIntervalHours: int(r.pruneIntervalHours, 1, BACKUP_RETENTION_DEFAULTS.pruneIntervalHours)
+  };
+}
 
-    res.send('✅ System reset complete. All week files removed and core files reset to Week 1.');
-  } catch (err) {
-    console.error('❌ Reset failed:', err);
-    res.status(500).send('Reset failed. Check server logs for details.');
+// Reporting bucket: picks_week_3 -> picks, RAW_scores_week_3 -> raw_scores
+function backupCategory(b) {
+  const base = b.key.replace(/_week_\d+$/, '');
+  return b.raw ? `raw_${base}` : base;
+}
+
+function pruneBackups({ dryRun = false } = {}) {
+  const { keepLast, keepDailyDays } = getBackupRetention();
+  const dailyCutoff = Date.now() - keepDailyDays * 24 * 60 * 60 * 1000;
+
+  // listBackups() is newest first; raw uploads are their own series
+  const series = new Map();
+  for (const b of repo.listBackups()) {
+    const id = `${b.raw ? 'RAW_' : ''}${b.key}`;
+    if (!series.has(id)) series.set(id, []);
+    series.get(id).push(b);
+  }
+
+  const deleted = [];
+  let freedBytes = 0;
+  let kept = 0;
+  for (const list of series.values()) {
+    const daysKept = new Set();
+    list.forEach((b, i) => {
+      const at = Date.parse(b.createdAt);
+      const day = b.createdAt.slice(0, 10);
+      let keep = i < keepLast;
+      if (!keep && at >= dailyCutoff && !daysKept.has(day)) keep = true;
+      if (keep) { daysKept.add(day); kept++; return; }
+      if (dryRun || repo.removeBackup(b.id)) {
+        deleted.push(b.id);
+        freedBytes += b.size;
+      }
+    });
   }
+  return { dryRun, kept, deletedCount: deleted.length, freedBytes, deleted };
+}
+
+let backupPruneTimer = null;
+function scheduleBackupPruning() {
+  if (backupPruneTimer) clearInterval(backupPruneTimer);
+  const { pruneIntervalHours } = getBackupRetention();
+  const run = () => {
+    try {
+      const r = pruneBackups();
+      if (r.deletedCount) {
+        console.log(`🧹 Pruned ${r.deletedCount} backup(s), freed ${r.freedBytes} bytes`);
+        audit(null, 'backup.prune', { actor: 'system', summary: `Pruned ${r.deletedCount} backup(s), freed ${r.freedBytes} bytes` });
+      }
+    } catch (e) {
+      console.warn('⚠️ Backup pruning failed:', e?.message);
+    }
+  };
+  run();
+  backupPruneTimer = setInterval(run, pruneIntervalHours * 60 * 60 * 1000);
+  backupPruneTimer.unref();
+}
+
+app.get('/api/admin/backup-retention', requireAdmin('read'), (req, res) => {
+  res.json({ ...getBackupRetention(), defaults: BACKUP_RETENTION_DEFAULTS });
 });
 
-app.all('/api/calculate-totalwinners/:week', (req, res) => {
-  const week = parseInt(req.params.week, 10);
-  calculateTotalWinners(week);
-  calculateWinnersFromList(week);
-  res.send(`✅ Calculating total winners for Week ${week}`);
+app.post('/api/admin/backup-retention', requireAdmin('manage'), express.json(), (req, res) => {
+  const next = { ...getBackupRetention() };
+  const limits = { keepLast: 1, keepDailyDays: 0, pruneIntervalHours: 1 };
+  for (const [field, min] of Object.entries(limits)) {
+    if (req.body?.[field] == null) continue;
+    const n = Number(req.body[field]);
+    if (!Number.isInteger(n) || n < min) {
+      return res.status(400).json({ error: `${field} must be a whole number >= ${min}` });
+    }
+    next[field] = n;
+  }
+  writeSettings({ ...readSettings(), backupRetention: next });
+  audit(req, 'settings.backup_retention', { summary: `Keep last ${next.keepLast}, daily for ${next.keepDailyDays} days, prune every ${next.pruneIntervalHours}h` });
+  scheduleBackupPruning();
+  res.json({ ok: true, ...next });
 });
 
-app.get('/api/download/:filename', (req, res) => {
-  const filename = req.params.filename;
-  const filepath = path.join(dataDir, filename);
-  if (!fs.existsSync(filepath)) return res.status(404).send('File not found.');
-  res.download(filepath);
+// POST /api/admin/backups/prune[?dryRun=true] — run the policy now
+app.post('/api/admin/backups/prune', requireAdmin('manage'), (req, res) => {
+  try {
+    const dryRun = ['true', '1', 'yes'].includes(String(req.query.dryRun || '').toLowerCase());
+    const result = pruneBackups({ dryRun });
+    if (!dryRun) audit(req, 'backup.prune', { summary: `Pruned ${result.deletedCount} backup(s), freed ${result.freedBytes} bytes` });
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    console.error('POST /api/admin/backups/prune error', e);
+    res.status(500).json({ error: 'Prune failed' });
+  }
 });
 
-app.get('/api/debug/files', (req, res) => {
+// GET /api/admin/backups/usage — disk usage by category (picks, chat, games, ...)
+app.get('/api/admin/backups/usage', requireAdmin('read'), (req, res) => {
   try {
-    const files = fs.readdirSync(dataDir)
-      .filter(name => name.endsWith('.json'))
-      .map(name => {
-        const fp = path.join(dataDir, name);
-        const st = fs.statSync(fp);
-        return { name, size: st.size, modified: st.mtime.toLocaleString() };
-      });
-  res.json({ count: files.length, files });
-  } catch (err) {
-    console.error('❌ Failed to list files:', err);
-    res.status(500).json({ error: 'Failed to list files' });
+    const categories = new Map();
+    let totalBytes = 0;
+    let totalFiles = 0;
+    for (const b of repo.listBackups()) {
+      const name = backupCategory(b);
+      if (!categories.has(name)) categories.set(name, { category: name, files: 0, bytes: 0, oldest: b.createdAt, newest: b.createdAt });
+      const c = categories.get(name);
+      c.files++;
+      c.bytes += b.size;
+      if (b.createdAt < c.oldest) c.oldest = b.createdAt;
+      if (b.createdAt > c.newest) c.newest = b.createdAt;
+      totalBytes += b.size;
+      totalFiles++;
+    }
+    res.json({
+      totalFiles,
+      totalBytes,
+      retention: getBackupRetention(),
+      categories: [...categories.values()].sort((a, b) => b.bytes - a.bytes)
+    });
+  } catch (e) {
+    console.error('GET /api/admin/backups/usage error', e);
+    res.status(500).json({ error: 'Failed to read backup usage' });
   }
 });
 /* =======================================================================
-   Simple Sidecar (JsonOdds) — CST-only, robust date parsing + safe fetch
+   Simple Sidecar (JsonOdds) — league time zone, robust date parsing + safe fetch
    Endpoints:
      GET /api/sidecar/download-spreads?week=5&from=2025-09-25&to=2025-09-29
      GET /api/sidecar/download-scores?week=5&from=2025-09-25&to=2025-09-29[&nofilter=true]
    Notes:
      - safeFetch works with/without global fetch (falls back to node-fetch v3).
      - Robust date parser handles ISO and common non-ISO strings.
-     - Fixed CST window: start day 2:00 PM, end day 11:59 PM.
+     - Window in the league zone (DST-aware): start day 2:00 PM, end day 11:59 PM.
      - No server writes; returns a download only. team1=Home, team2=Away.
    ======================================================================= */
 
@@ -1588,31 +3334,23 @@ function getJsonOddsConfig_S() {
   return { apiKey, baseUrl };
 }
 
-// ---- fixed CST helpers (no DST) ----
-const MS_S = 1000, H_S = 60 * 60 * MS_S, CST_OFFSET_MS = 6 * H_S;
-
-function startEndToUtcRangeCST_S(fromYYYYMMDD, toYYYYMMDD) {
+// ---- league-zone helpers (see gameTime.js) ----
+function startEndToUtcRange_S(fromYYYYMMDD, toYYYYMMDD) {
   if (!/^\d{4}-\d{2}-\d{2}$/.test(fromYYYYMMDD) || !/^\d{4}-\d{2}-\d{2}$/.test(toYYYYMMDD))
     throw new Error('from/to must be YYYY-MM-DD');
   const [y1,m1,d1] = fromYYYYMMDD.split('-').map(Number);
   const [y2,m2,d2] = toYYYYMMDD.split('-').map(Number);
-  const startCst = new Date(Date.UTC(y1, m1-1, d1, 14, 0, 0));   // Thu 2:00 PM CST
-  const endCst   = new Date(Date.UTC(y2, m2-1, d2, 23, 59, 59)); // Mon 11:59:59 CST
-  return { startUtc: new Date(startCst.getTime() + CST_OFFSET_MS),
-           endUtc:   new Date(endCst.getTime()   + CST_OFFSET_MS) };
+  const zone = leagueZone();
+  return {
+    startUtc: gameTime.zonedToUtc({ year: y1, month: m1, day: d1, hour: 14 }, zone),                          // Thu 2:00 PM
+    endUtc:   gameTime.zonedToUtc({ year: y2, month: m2, day: d2, hour: 23, minute: 59, second: 59 }, zone) // Mon 11:59:59 PM
+  };
 }
 
-function isoToCSTString_S(isoLikeUtc) {
-  const dUtc = new Date(isoLikeUtc);
-  const dCst = new Date(dUtc.getTime() - CST_OFFSET_MS);
-  const yyyy = dCst.getUTCFullYear();
-  const mm   = String(dCst.getUTCMonth()+1).padStart(2,'0');
-  const dd   = String(dCst.getUTCDate()).padStart(2,'0');
-  let hr     = dCst.getUTCHours();
-  const min  = String(dCst.getUTCMinutes()).padStart(2,'0');
-  const ampm = hr >= 12 ? 'PM' : 'AM';
-  hr = hr % 12; if (hr === 0) hr = 12;
-  return `${yyyy}-${mm}-${dd} ${hr}:${min} ${ampm}`;
+// Vendor kickoff (UTC-ish) -> "2025-08-28 4:30 PM" league time
+function kickoffToLeagueString_S(val) {
+  const d = parseUTCish_S(val);
+  return d ? gameTime.formatInZone(d, leagueZone()) : '';
 }
 
 // ---------- tolerant date parsing ----------
@@ -1692,12 +3430,12 @@ async function getResults_S(sports) {
 }
 
 // -------------------- ROUTES --------------------
-app.get('/api/sidecar/download-spreads', async (req, res) => {
+app.get('/api/sidecar/download-spreads', requireAdmin('score'), async (req, res) => {
   try {
     const week = Number(req.query.week) || 1;
     const from = String(req.query.from || '').trim();
     const to   = String(req.query.to   || '').trim();
-    const { startUtc, endUtc } = startEndToUtcRangeCST_S(from, to);
+    const { startUtc, endUtc } = startEndToUtcRange_S(from, to);
     const sports = ['ncaaf','nfl'];
 
     const odds = await getOdds_S(sports);
@@ -1709,7 +3447,7 @@ app.get('/api/sidecar/download-spreads', async (req, res) => {
       if (Number.isFinite(h) && !Number.isFinite(a)) a = -h;
       if (!Number.isFinite(h) && Number.isFinite(a)) h = -a;
       if (!Number.isFinite(h) || !Number.isFinite(a)) continue;
-      out.push({ date: isoToCSTString_S(pickKickoff_S(raw)), team1: home, spread1: h, team2: away, spread2: a });
+      out.push({ date: kickoffToLeagueString_S(pickKickoff_S(raw)), team1: home, spread1: h, team2: away, spread2: a });
     }
     out.sort((x,y)=> x.date.localeCompare(y.date) || (x.team1+x.team2).localeCompare(y.team1+y.team2));
     res.setHeader('Content-Disposition', `attachment; filename="games_week_${week}.json"`);
@@ -1720,13 +3458,13 @@ app.get('/api/sidecar/download-spreads', async (req, res) => {
   }
 });
 
-app.get('/api/sidecar/download-scores', async (req, res) => {
+app.get('/api/sidecar/download-scores', requireAdmin('score'), async (req, res) => {
   try {
     const week = Number(req.query.week) || 1;
     const from = String(req.query.from || '').trim();
     const to   = String(req.query.to   || '').trim();
     const nofilter = String(req.query.nofilter||'false').toLowerCase()==='true';
-    const { startUtc, endUtc } = startEndToUtcRangeCST_S(from, to);
+    const { startUtc, endUtc } = startEndToUtcRange_S(from, to);
     const sports = ['ncaaf','nfl'];
 
     const results = await getResults_S(sports);
@@ -1740,7 +3478,7 @@ app.get('/api/sidecar/download-scores', async (req, res) => {
       if (!nofilter) {
         if (!within_S(raw, startUtc, endUtc)) continue;
       }
-      out.push({ date: isoToCSTString_S(pickKickoff_S(raw)), team1: home, score1: hs, team2: away, score2: as });
+      out.push({ date: kickoffToLeagueString_S(pickKickoff_S(raw)), team1: home, score1: hs, team2: away, score2: as });
     }
     out.sort((x,y)=> x.date.localeCompare(y.date) || (x.team1+x.team2).localeCompare(y.team1+y.team2));
     res.setHeader('Content-Disposition', `attachment; filename="scores_week_${week}.json"`);
@@ -1751,10 +3489,114 @@ app.get('/api/sidecar/download-scores', async (req, res) => {
   }
 });
 
+// A write that fails its schema is a bad request, not a crash
+app.use((err, req, res, next) => {
+  if (err instanceof schemas.SchemaError) {
+    console.warn('⚠️', err.message);
+    return res.status(422).json({ error: err.message, schemaErrors: err.errors.slice(0, 50) });
+  }
+  return next(err);
+});
+
+// ---------- Real-time (socket.io, see realtime.js) ----------
+// Handshakes carry the REST credentials: a player or admin session token, or the
+// ADMIN_TOKEN secret. A player who must change a reset PIN is refused, as on REST.
+// Also re-run on live sockets (see realtime.js), so expiresAt is the token's own.
+function socketUser(handshake) {
+  const headers = { ...(handshake.headers || {}) };
+  const auth = handshake.auth || {};
+  if (auth.token) headers.authorization = `Bearer ${String(auth.token).trim()}`;
+  if (auth.adminToken) headers['x-admin-token'] = String(auth.adminToken);
+  const req = { headers };
+
+  const token = sessions.tokenFromRequest(req);
+  const admin = adminFromRequest(req);
+  if (admin) {
+    const exp = admin.via === 'session' ? sessions.verifyToken(token)?.exp : null;
+    const user = { role: 'admin', username: admin.username, adminRole: admin.role };
+    return exp ? { ...user, expiresAt: new Date(exp * 1000).toISOString() } : user;
+  }
+  const found = token ? playerFromToken(token) : null;
+  if (!found || found.player.row.mustChangePin) return null;
+  return { role: 'player', id: found.player.id, name: found.player.name, expiresAt: new Date(found.claims.exp * 1000).toISOString() };
+}
+
+// picks:revealed when a watched week's reveal state flips (cutoff passing, or the
+// admin visibility switch). The first look at a week only records its state.
+const revealState = new Map();
+function checkPicksReveal() {
+  for (const week of new Set([getCurrentWeekNumber(), ...realtime.activeWeeks()])) {
+    const revealPicks = shouldRevealPicksNow(week);
+    const before = revealState.get(week);
+    revealState.set(week, revealPicks);
+    if (before === undefined || before === revealPicks) continue;
+    console.log(`📣 Week ${week} picks ${revealPicks ? 'revealed' : 'hidden'}`);
+    realtime.toWeek(week, 'picks:revealed', {
+      week,
+      revealPicks,
+      cutoffISO: computeCutoffForWeek(week)?.toISOString() || null
+    });
+  }
+}
+
+// What a socket gets on connect / week:join, so it starts from current state
+function weekSnapshot(week) {
+  const revealPicks = shouldRevealPicksNow(week);
+  if (!revealState.has(week)) revealState.set(week, revealPicks); // changes from here are pushed
+  return {
+    week,
+    isLocked: isLockedNow(week),
+    revealPicks,
+    picks: picksStats(week)
+  };
+}
+
+const realtime = createRealtime({
+  authenticate: socketUser,
+  currentWeek: getCurrentWeekNumber,
+  snapshot: weekSnapshot,
+  cors: { origin: originsEnv.length ? originsEnv : '*', credentials: originsEnv.length > 0 }
+});
+
+// Pushes follow the stored documents, so uploads, recalcs, restores and resets all notify
+repo.onAnyChange(key => {
+  const m = String(key).match(/^(picks|scores)_week_(\d+)$/);
+  if (m && m[1] === 'picks') {
+    const week = Number(m[2]);
+    realtime.toWeek(week, 'picks:count', () => picksStats(week));
+  } else if (m) {
+    const week = Number(m[2]);
+    realtime.toWeek(week, 'scores:updated', () => ({ week, scores: repo.scores.get(week, []) }));
+  } else if (key === repo.standings.key) {
+    realtime.toAll('standings:updated', () => repo.standings.get({}));
+  } else if (key === repo.roster.key) {
+    realtime.revalidate(); // removed players and changed PINs end live sessions
+    const week = getCurrentWeekNumber();
+    realtime.toWeek(week, 'picks:count', () => picksStats(week));
+  } else if (key === repo.admins.key) {
+    realtime.revalidate();
+  } else if (key === repo.settings.key) {
+    checkPicksReveal(); // visibility, lock mode or cutoff may have changed
+  }
+});
+
+const REVEAL_CHECK_SECONDS = Math.max(Number(process.env.REVEAL_CHECK_SECONDS) || 15, 1);
+setInterval(checkPicksReveal, REVEAL_CHECK_SECONDS * 1000).unref();
+
 // ---------- Start server ----------
+// One-time upgrade of week files written before stable game IDs (no-op afterwards)
+const migratedFiles = migrateAllGameIds();
+if (migratedFiles.length) console.log('🆔 Game IDs added to:', migratedFiles.join(', '));
+if (standingsStale) rebuildStandings();
+
+// Apply the backup retention policy now and on a timer
+scheduleBackupPruning();
+
 const PORT = process.env.PORT || 5001;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`🌍 Server is running on port ${PORT}`);
   console.log(`📁 DATA_DIR: ${dataDir}`);
   console.log(`📦 BACKUP_DIR: ${backupDir}`);
 });
+realtime.attach(server);
+checkPicksReveal();
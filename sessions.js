@@ -0,0 +1,67 @@
+// sessions.js — short-lived signed session tokens (HS256 JWT)
+//
+// Issued by /api/authenticate once name + PIN check out; clients then send
+//   Authorization: Bearer <token>
+// instead of re-sending the PIN. Secret: SESSION_SECRET (a random per-process
+// secret is used when unset, so tokens don't survive a restart).
+// Lifetime: SESSION_TTL_MINUTES (default 120).
+
+const crypto = require('crypto');
+
+let secret = (process.env.SESSION_SECRET || '').trim();
+if (!secret) {
+  secret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ SESSION_SECRET not set — using a random secret; sessions end on restart');
+}
+
+const TTL_SECONDS = Math.max(Number(process.env.SESSION_TTL_MINUTES) || 120, 1) * 60;
+
+const b64url = buf => Buffer.from(buf).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+const fromB64url = str => Buffer.from(String(str).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+
+function sign(data) {
+  return b64url(crypto.createHmac('sha256', secret).update(data).digest());
+}
+
+/**
+ * createToken({ sub, ...claims }, { ttlSeconds }) -> { token, expiresAt }
+ */
+function createToken(claims, { ttlSeconds = TTL_SECONDS } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = { ...claims, iat: now, exp: now + ttlSeconds };
+  const head = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = b64url(JSON.stringify(payload));
+  return {
+    token: `${head}.${body}.${sign(`${head}.${body}`)}`,
+    expiresAt: new Date(payload.exp * 1000).toISOString()
+  };
+}
+
+// Payload when the signature is good and the token has not expired, else null
+function verifyToken(token) {
+  const parts = String(token || '').split('.');
+  if (parts.length !== 3) return null;
+  const [head, body, sig] = parts;
+  const expected = Buffer.from(sign(`${head}.${body}`));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const header = JSON.parse(fromB64url(head).toString('utf8'));
+    if (header.alg !== 'HS256') return null;
+    const payload = JSON.parse(fromB64url(body).toString('utf8'));
+    if (!payload || typeof payload.exp !== 'number' || payload.exp * 1000 <= Date.now()) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+// Bearer token from the Authorization header (or x-session-token)
+function tokenFromRequest(req) {
+  const auth = String(req.headers?.authorization || '');
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  if (m) return m[1].trim();
+  return String(req.headers?.['x-session-token'] || '').trim() || null;
+}
+
+module.exports = { createToken, verifyToken, tokenFromRequest, TTL_SECONDS };
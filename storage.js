@@ -0,0 +1,53 @@
+// storage.js — atomic writes and per-file locks under the repository (repository.js)
+//
+// - Every write goes to a temp file in the same folder, is fsync'd, then renamed
+//   over the target, so a crash or a concurrent reader never sees half a file.
+// - withFileLock() queues tasks per file; repo.update() runs its read-modify-write
+//   cycles through it, so two requests touching the same document (e.g. two players
+//   submitting picks at once) apply one after the other.
+
+const fs = require('fs');
+const path = require('path');
+
+// Returned from a repo.update() mutator to leave the document untouched
+const SKIP = Symbol('storage.skip');
+
+const queues = new Map(); // absolute path -> tail promise
+
+function withFileLock(file, fn) {
+  const key = path.resolve(file);
+  const prev = queues.get(key) || Promise.resolve();
+  const run = prev.then(() => fn());
+  // Keep the chain alive even if this task fails
+  const tail = run.catch(() => {});
+  queues.set(key, tail);
+  tail.then(() => { if (queues.get(key) === tail) queues.delete(key); });
+  return run;
+}
+
+function writeFileAtomic(file, text) {
+  const tmp = path.join(
+    path.dirname(file),
+    `.${path.basename(file)}.${process.pid}.${Date.now()}.${Math.random().toString(36).slice(2)}.tmp`
+  );
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, text);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmp, file);
+  } catch (err) {
+    try { fs.unlinkSync(tmp); } catch {}
+    throw err;
+  }
+}
+
+// Plain JSON file outside the repository (raw upload copies, reports)
+function writeJson(file, data) {
+  writeFileAtomic(file, JSON.stringify(data, null, 2));
+}
+
+module.exports = { SKIP, withFileLock, writeFileAtomic, writeJson };
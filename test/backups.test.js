@@ -0,0 +1,30 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+let srv;
+after(() => srv && srv.stop());
+
+test('a roster backup diff never shows PINs or hashes', async () => {
+  srv = await startServer({ files: { 'roster.json': [{ name: 'Alpha', pin: '1111' }] } });
+  // An old backup from before PINs were hashed, plus one with a different hash
+  const backups = path.join(srv.dir, 'backups');
+  fs.mkdirSync(backups, { recursive: true });
+  fs.writeFileSync(path.join(backups, '1700000000000_roster.json'),
+    JSON.stringify([{ name: 'Alpha', pin: '1111' }, { name: 'Bravo', pinHash: 'scrypt$aa$bb', pinSalt: 'aa' }]));
+
+  const list = await srv.get('/api/admin/backups?key=roster', srv.admin);
+  assert.equal(list.status, 200);
+  const ids = list.body.files[0].backups.map(b => b.id);
+  assert.ok(ids.includes('1700000000000_roster.json'));
+
+  const res = await srv.get('/api/admin/backups/1700000000000_roster.json/diff', srv.admin);
+  assert.equal(res.status, 200);
+  assert.ok(res.body.changeCount > 0);
+  const body = JSON.stringify(res.body);
+  assert.doesNotMatch(body, /1111|scrypt\$/);
+  assert.ok(!JSON.stringify(srv.read('roster.json')).includes('"1111"'));
+  assert.ok(res.body.changes.some(c => c.path === '[1]' && c.to.pinHash === '[redacted]'));
+});
@@ -0,0 +1,58 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+const { startServer } = require('./helpers/server');
+
+const LEGACY_ID = 'w1-toronto-argonauts-vs-ottawa-redblacks'; // minted in slate order
+let srv;
+const uploaded = [];
+after(async () => {
+  for (const name of uploaded) fs.rmSync(path.join(__dirname, '..', 'uploads', name), { force: true });
+  if (srv) await srv.stop();
+});
+
+// The spread sheet layout: per game a day/"team2 at"/spread2 row, a date row,
+// and a time/team1/spread1 row
+async function uploadSpread(games) {
+  const rows = [['Day', 'Matchup', 'Spread']];
+  for (const g of games) {
+    rows.push(['Thu', `${g.team2} at`, g.spread2], ['2099-06-05'], ['7:30 PM', g.team1, g.spread1]);
+  }
+  const book = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(book, xlsx.utils.aoa_to_sheet(rows), 'Week 1');
+  const filename = `ids-test-${process.pid}-${Date.now()}-week_1.xlsx`;
+  uploaded.push(filename);
+  const form = new FormData();
+  form.append('force', 'true');
+  form.append('file', new Blob([xlsx.write(book, { type: 'buffer', bookType: 'xlsx' })]), filename);
+  return fetch(`${srv.base}/api/upload/spread`, { method: 'POST', headers: srv.admin, body: form });
+}
+
+test('re-uploading a slate with home and away swapped keeps game IDs and picks', async () => {
+  srv = await startServer({
+    files: {
+      'roster.json': [{ name: 'Xia', pin: '1111' }],
+      'current_week.json': { currentWeek: 1 },
+      'games_week_1.json': [
+        { id: LEGACY_ID, date: '2099-06-05 7:30 PM', team1: 'Toronto Argonauts', spread1: -3, team2: 'Ottawa Redblacks', spread2: 3 }
+      ],
+      'picks_week_1.json': [
+        { player: 'Xia', week: 1, picks: [{ gameId: LEGACY_ID, gameIndex: 0, pick: 'Ottawa Redblacks' }] }
+      ]
+    }
+  });
+
+  const res = await uploadSpread([
+    { team1: 'Calgary Stampeders', spread1: 1, team2: 'BC Lions', spread2: -1 },
+    { team1: 'Ottawa Redblacks', spread1: 2.5, team2: 'Toronto Argonauts', spread2: -2.5 }
+  ]);
+  assert.equal(res.status, 200, await res.text());
+
+  // The new matchup's ID is built from the teams in sorted order
+  const games = srv.read('games_week_1.json');
+  assert.deepEqual(games.map(g => g.id), ['w1-bc-lions-vs-calgary-stampeders', LEGACY_ID]);
+  const [entry] = srv.read('picks_week_1.json');
+  assert.deepEqual(entry.picks[0], { gameId: LEGACY_ID, gameIndex: 1, pick: 'Ottawa Redblacks' });
+});
@@ -0,0 +1,91 @@
+// test/helpers/server.js — run server.js against a throwaway data directory
+//
+//   const srv = await startServer({ files: { 'roster.json': [...] } });
+//   const res = await srv.post('/api/authenticate', { name, pin });
+//   srv.read('winners_detail_week_1.json');
+//   await srv.stop();
+//
+// The break-glass admin secret is ADMIN_TOKEN (send srv.admin as headers); session
+// tokens are signed with SESSION_SECRET.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ADMIN_TOKEN = 'test-admin-token';
+const SESSION_SECRET = 'test-session-secret';
+
+async function startServer({ files = {}, env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pickem-test-'));
+  for (const [name, body] of Object.entries(files)) {
+    fs.writeFileSync(path.join(dir, name), typeof body === 'string' ? body : JSON.stringify(body, null, 2));
+  }
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [path.join(__dirname, '..', '..', 'server.js')], {
+    env: {
+      ...process.env,
+      DATA_DIR: dir,
+      BACKUP_DIR: path.join(dir, 'backups'),
+      PORT: String(port),
+      ADMIN_TOKEN,
+      SESSION_SECRET,
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let log = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), 15000);
+    const onData = chunk => {
+      log += chunk;
+      if (log.includes('Server is running')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`server exited (${code}):\n${log}`));
+    });
+  });
+  child.removeAllListeners('exit');
+
+  const base = `http://127.0.0.1:${port}`;
+  async function request(method, url, body, headers = {}) {
+    const res = await fetch(base + url, {
+      method,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: body == null ? undefined : JSON.stringify(body)
+    });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch {}
+    return { status: res.status, headers: res.headers, body: json, text };
+  }
+
+  return {
+    dir,
+    base,
+    admin: { 'x-admin-token': ADMIN_TOKEN },
+    get: (url, headers) => request('GET', url, null, headers),
+    post: (url, body, headers) => request('POST', url, body, headers),
+    read: name => JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')),
+    log: () => log,
+    stop() {
+      return new Promise(resolve => {
+        if (child.exitCode != null) return resolve();
+        child.once('exit', () => {
+          fs.rmSync(dir, { recursive: true, force: true });
+          resolve();
+        });
+        child.kill();
+      });
+    }
+  };
+}
+
+module.exports = { startServer, ADMIN_TOKEN, SESSION_SECRET };
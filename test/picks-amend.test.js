@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Kickoff lock mode, two picks per card; Alpha vs Bravo has already kicked off
+let srv;
+let auth;
+before(async () => {
+  srv = await startServer({
+    files: {
+      'roster.json': [{ name: 'Zed', pin: '1111' }],
+      'current_week.json': { currentWeek: 1 },
+      'app_settings.json': { lockMode: 'kickoff', requiredPicks: 2 },
+      'games_week_1.json': [
+        { date: '2025-09-01 6:00 PM', team1: 'Alpha', spread1: -3, team2: 'Bravo', spread2: 3 },
+        { date: '2099-09-03 6:00 PM', team1: 'Charlie', spread1: -3, team2: 'Delta', spread2: 3 },
+        { date: '2099-09-03 7:00 PM', team1: 'Echo', spread1: -3, team2: 'Foxtrot', spread2: 3 }
+      ],
+      'picks_week_1.json': [
+        { player: 'Zed', week: 1, picks: [{ gameIndex: 0, pick: 'Alpha' }, { gameIndex: 1, pick: 'Charlie' }] }
+      ]
+    }
+  });
+  const res = await srv.post('/api/authenticate', { name: 'Zed', pin: '1111' });
+  auth = { authorization: `Bearer ${res.body.token}` };
+});
+after(() => srv && srv.stop());
+
+const submit = picks => srv.post('/submit-picks/1', { picks }, auth);
+
+test('dropping a pick on a kicked-off game is rejected', async () => {
+  const res = await submit([{ pick: 'Delta' }, { pick: 'Echo' }]);
+  assert.equal(res.status, 400);
+  assert.ok(res.body.pickErrors.some(e => e.code === 'game_locked' && e.pick === 'Alpha'));
+  assert.equal(srv.read('picks_week_1.json')[0].picks[0].pick, 'Alpha');
+});
+
+test('switching sides on a kicked-off game is rejected', async () => {
+  const res = await submit([{ pick: 'Bravo' }, { pick: 'Delta' }]);
+  assert.equal(res.status, 400);
+  assert.ok(res.body.pickErrors.every(e => e.code === 'game_locked'));
+});
+
+test('open games can be changed while the kicked-off pick stays', async () => {
+  const res = await submit([{ pick: 'Alpha' }, { pick: 'Delta' }]);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.amended, true);
+  assert.equal(res.body.revision, 2);
+
+  const [entry] = srv.read('picks_week_1.json');
+  assert.deepEqual(entry.picks.map(p => p.pick), ['Alpha', 'Delta']);
+  assert.deepEqual(entry.revisions[0].picks.map(p => p.pick), ['Alpha', 'Charlie']);
+});
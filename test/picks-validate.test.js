@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startServer } = require('./helpers/server');
+
+// Kickoff lock mode, two picks per card; Alpha vs Bravo has already kicked off
+let srv;
+let auth;
+before(async () => {
+  srv = await startServer({
+    files: {
+      'roster.json': [{ name: 'Yan', pin: '1111' }],
+      'current_week.json': { currentWeek: 1 },
+      'app_settings.json': { lockMode: 'kickoff', requiredPicks: 2 },
+      'games_week_1.json': [
+        { date: '2025-09-01 6:00 PM', team1: 'Alpha', spread1: -3, team2: 'Bravo', spread2: 3 },
+        { date: '2099-09-03 6:00 PM', team1: 'Charlie', spread1: -3, team2: 'Delta', spread2: 3 },
+        { date: '2099-09-03 7:00 PM', team1: 'Echo', spread1: -3, team2: 'Foxtrot', spread2: 3 }
+      ]
+    }
+  });
+  const res = await srv.post('/api/authenticate', { name: 'Yan', pin: '1111' });
+  auth = { authorization: `Bearer ${res.body.token}` };
+});
+after(() => srv && srv.stop());
+
+const submit = picks => srv.post('/submit-picks/1', { picks: picks.map(pick => ({ pick })) }, auth);
+
+async function rejected(picks, code) {
+  const res = await submit(picks);
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.pickErrors.map(e => e.code), [code]);
+  assert.ok(!fs.existsSync(path.join(srv.dir, 'picks_week_1.json')));
+}
+
+test('a team that is not on the slate is rejected', () => rejected(['Zulu', 'Delta'], 'team_not_on_slate'));
+test('the same pick twice is rejected', () => rejected(['Delta', 'Delta'], 'duplicate_pick'));
+test('both sides of one game are rejected', () => rejected(['Charlie', 'Delta'], 'conflicting_pick'));
+test('too few picks are rejected', () => rejected(['Delta'], 'pick_count'));
+test('a game that has kicked off cannot be picked', () => rejected(['Alpha', 'Delta'], 'game_locked'));
+
+test('a pick naming a team outside its stated game is rejected', async () => {
+  const res = await srv.post('/submit-picks/1', { picks: [{ gameIndex: 1, pick: 'Echo' }, { pick: 'Delta' }] }, auth);
+  assert.equal(res.status, 400);
+  assert.equal(res.body.pickErrors[0].code, 'team_not_in_game');
+});
+
+test('the /api alias validates and saves the same way', async () => {
+  const bad = await srv.post('/api/submit-picks', { week: 1, picks: [{ pick: 'Delta' }, { pick: 'Delta' }] }, auth);
+  assert.equal(bad.status, 400);
+  assert.equal(bad.body.pickErrors[0].code, 'duplicate_pick');
+
+  const ok = await srv.post('/api/submit-picks', { week: 1, picks: [{ pick: 'delta' }, { pick: 'Echo' }] }, auth);
+  assert.equal(ok.status, 200);
+  const [entry] = srv.read('picks_week_1.json');
+  assert.deepEqual(entry.picks.map(p => p.pick), ['Delta', 'Echo']);
+});
@@ -0,0 +1,133 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Two games a week: Kilo and Nova cover in week 1, Oscar and Romeo in week 2
+const GAMES = {
+  1: [
+    { date: '2025-08-28 6:00 PM', team1: 'Kilo', spread1: -3, team2: 'Lima', spread2: 3 },
+    { date: '2025-08-28 7:00 PM', team1: 'Mike', spread1: -3, team2: 'Nova', spread2: 3 }
+  ],
+  2: [
+    { date: '2025-09-04 6:00 PM', team1: 'Oscar', spread1: -3, team2: 'Papa', spread2: 3 },
+    { date: '2025-09-04 7:00 PM', team1: 'Quebec', spread1: -3, team2: 'Romeo', spread2: 3 }
+  ]
+};
+const SCORES = {
+  1: [
+    { team1: 'Kilo', score1: 20, team2: 'Lima', score2: 10 },
+    { team1: 'Mike', score1: 10, team2: 'Nova', score2: 20 }
+  ],
+  2: [
+    { team1: 'Oscar', score1: 20, team2: 'Papa', score2: 10 },
+    { team1: 'Quebec', score1: 10, team2: 'Romeo', score2: 20 }
+  ]
+};
+const card = (player, week, teams) => ({ player, week, picks: teams.map((pick, gameIndex) => ({ gameIndex, pick })) });
+
+const servers = [];
+after(() => Promise.all(servers.map(s => s.stop())));
+
+async function league({ weeks, picks, pending = {}, settings = {}, pot }) {
+  const files = {
+    'roster.json': ['Ann', 'Bob', 'Cal'].map(name => ({ name, pin: '1111' })),
+    'current_week.json': { currentWeek: 1 },
+    'app_settings.json': { entryFee: 10, potWinThreshold: 2, requiredPicks: 2, ...settings }
+  };
+  for (const w of weeks) {
+    files[`games_week_${w}.json`] = GAMES[w];
+    files[`scores_week_${w}.json`] = SCORES[w];
+    files[`picks_week_${w}.json`] = picks[w];
+  }
+  // Pending weeks have a slate and picks but no scores yet
+  for (const [w, entries] of Object.entries(pending)) {
+    files[`games_week_${w}.json`] = GAMES[w];
+    files[`picks_week_${w}.json`] = entries;
+  }
+  if (pot) files['pot.json'] = pot;
+  const srv = await startServer({ files });
+  servers.push(srv);
+  for (const w of weeks) {
+    const res = await srv.post(`/api/calculate-totalwinners/${w}`, null, srv.admin);
+    assert.equal(res.status, 200);
+  }
+  return srv;
+}
+
+test('a week with a winner is saved to pot.json', async () => {
+  const srv = await league({
+    weeks: [1],
+    picks: { 1: [card('Ann', 1, ['Kilo', 'Nova']), card('Bob', 1, ['Kilo', 'Mike']), card('Cal', 1, ['Lima', 'Mike'])] }
+  });
+  assert.doesNotMatch(srv.log(), /Pot update failed/);
+
+  const saved = srv.read('pot.json');
+  assert.equal(saved.weeks.length, 1);
+  assert.equal(saved.weeks[0].status, 'won');
+  assert.equal(saved.weeks[0].total, 30);
+  assert.deepEqual(saved.weeks[0].winners, [{ player: 'Ann', total: 2 }]);
+});
+
+const potOf = async srv => (await srv.get('/api/pot')).body;
+
+test('an open week accrues entry fees without settling', async () => {
+  const srv = await league({
+    weeks: [1],
+    picks: { 1: [card('Ann', 1, ['Kilo', 'Nova'])] },
+    pending: { 2: [card('Ann', 2, ['Oscar', 'Romeo']), card('Bob', 2, ['Papa', 'Romeo'])] }
+  });
+  const pot = await potOf(srv);
+  const week2 = pot.weeks.find(w => w.week === 2);
+  assert.equal(week2.status, 'pending');
+  assert.equal(week2.contributions, 20);
+  assert.equal(week2.carryIn, 0);
+  assert.equal(pot.currentPot, 20);
+});
+
+test('with no winner the pot rolls over into the next week', async () => {
+  const srv = await league({
+    weeks: [1, 2],
+    picks: {
+      1: [card('Ann', 1, ['Lima', 'Nova']), card('Bob', 1, ['Kilo', 'Mike']), card('Cal', 1, ['Lima', 'Mike'])],
+      2: [card('Ann', 2, ['Oscar', 'Romeo']), card('Bob', 2, ['Papa', 'Romeo']), card('Cal', 2, ['Papa', 'Quebec'])]
+    }
+  });
+  const [week1, week2] = srv.read('pot.json').weeks;
+  assert.equal(week1.status, 'rolled_over');
+  assert.equal(week1.rolloverOut, 30);
+  assert.equal(week2.carryIn, 30);
+  assert.equal(week2.total, 60);
+  assert.equal(week2.status, 'won');
+  assert.deepEqual(week2.winners.map(w => w.player), ['Ann']);
+  assert.equal(week2.payoutEach, 60);
+  assert.equal((await potOf(srv)).currentPot, 0);
+});
+
+test('a split pays whole cents and the leftover cent rolls over', async () => {
+  const srv = await league({
+    weeks: [1],
+    settings: { entryFee: 10.01 },
+    picks: { 1: [card('Ann', 1, ['Kilo', 'Nova']), card('Bob', 1, ['Kilo', 'Nova']), card('Cal', 1, ['Lima', 'Mike'])] }
+  });
+  const [week1] = srv.read('pot.json').weeks;
+  assert.equal(week1.total, 30.03);
+  assert.equal(week1.winners.length, 2);
+  assert.equal(week1.payoutEach, 15.01);
+  assert.equal(week1.rolloverOut, 0.01);
+});
+
+test('a legacy flat pot.json keeps its amounts as adjustments', async () => {
+  const srv = await league({
+    weeks: [1],
+    pot: { 1: 5, 3: 7.5 },
+    picks: { 1: [card('Ann', 1, ['Lima', 'Mike'])] }
+  });
+  const saved = srv.read('pot.json');
+  assert.deepEqual(saved.adjustments, { 1: 5, 3: 7.5 });
+  const week1 = saved.weeks.find(w => w.week === 1);
+  assert.equal(week1.adjustment, 5);
+  assert.equal(week1.total, 15);
+  const week3 = saved.weeks.find(w => w.week === 3);
+  assert.equal(week3.carryIn, 15);
+  assert.equal(week3.total, 22.5);
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startServer, SESSION_SECRET } = require('./helpers/server');
+
+process.env.SESSION_SECRET = SESSION_SECRET;
+const sessions = require('../sessions');
+
+let srv;
+before(async () => {
+  srv = await startServer({ files: { 'roster.json': [{ name: 'Vic', pin: '1111' }] } });
+});
+after(() => srv && srv.stop());
+
+// Just enough of the socket.io protocol (Engine.IO v4 over a websocket):
+// records [event, payload] pairs, plus 'connect', 'connect_error' and 'disconnect'
+function connect(auth) {
+  const ws = new WebSocket(`${srv.base.replace(/^http/, 'ws')}/socket.io/?EIO=4&transport=websocket`);
+  const events = [];
+  ws.on('message', data => {
+    const msg = String(data);
+    if (msg.startsWith('0')) return ws.send(`40${JSON.stringify(auth)}`);
+    if (msg === '2') return ws.send('3');
+    if (msg.startsWith('40')) events.push(['connect']);
+    else if (msg.startsWith('44')) events.push(['connect_error', JSON.parse(msg.slice(2))]);
+    else if (msg.startsWith('41')) events.push(['disconnect']);
+    else if (msg.startsWith('42')) events.push(JSON.parse(msg.slice(2)));
+  });
+  ws.on('close', () => events.push(['close']));
+  return {
+    events,
+    close: () => ws.close(),
+    async waitFor(name, ms = 5000) {
+      for (const end = Date.now() + ms; Date.now() < end;) {
+        const hit = events.find(e => e[0] === name);
+        if (hit) return hit[1];
+        await new Promise(r => setTimeout(r, 25));
+      }
+      throw new Error(`no ${name} within ${ms}ms (got ${events.map(e => e[0]).join(', ')})`);
+    }
+  };
+}
+
+const playerId = () => srv.read('roster.json')[0].id;
+
+test('an invalid token is refused at the handshake', async () => {
+  const sock = connect({ token: 'not-a-token' });
+  assert.deepEqual(await sock.waitFor('connect_error'), { message: 'Sign in required.' });
+  sock.close();
+});
+
+test('an expired token is refused at the handshake', async () => {
+  const { token } = sessions.createToken({ sub: playerId(), role: 'player' }, { ttlSeconds: -60 });
+  const sock = connect({ token });
+  assert.deepEqual(await sock.waitFor('connect_error'), { message: 'Sign in required.' });
+  sock.close();
+});
+
+test('a connected socket is dropped when its token expires', async () => {
+  const { token } = sessions.createToken({ sub: playerId(), role: 'player' }, { ttlSeconds: 2 });
+  const sock = connect({ token });
+  assert.equal((await sock.waitFor('hello')).user.name, 'Vic');
+  assert.deepEqual(await sock.waitFor('session:ended', 6000), { error: 'Sign in required.' });
+  await sock.waitFor('close');
+});
+
+test('changing the PIN ends sockets opened with the old session', async () => {
+  const auth = await srv.post('/api/authenticate', { name: 'Vic', pin: '1111' });
+  const sock = connect({ token: auth.body.token });
+  await sock.waitFor('hello');
+  await new Promise(r => setTimeout(r, 1100)); // sessions are compared to the second
+
+  const res = await srv.post('/api/player/pin', { currentPin: '1111', newPin: '2222' },
+    { authorization: `Bearer ${auth.body.token}` });
+  assert.equal(res.status, 200);
+  await sock.waitFor('session:ended');
+  await sock.waitFor('close');
+});
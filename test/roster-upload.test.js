@@ -0,0 +1,27 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+const { startServer } = require('./helpers/server');
+
+let srv;
+after(() => srv && srv.stop());
+
+test('an uploaded roster sheet is hashed and never kept on disk', async () => {
+  srv = await startServer();
+  const sheet = xlsx.utils.aoa_to_sheet([['Name', 'PIN', 'Balance'], ['Uma', '4321', 10]]);
+  const book = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(book, sheet, 'Roster');
+  const filename = `roster-test-${process.pid}-${Date.now()}.xlsx`;
+  const form = new FormData();
+  form.append('file', new Blob([xlsx.write(book, { type: 'buffer', bookType: 'xlsx' })]), filename);
+
+  const res = await fetch(`${srv.base}/api/upload/roster`, { method: 'POST', headers: srv.admin, body: form });
+  assert.equal(res.status, 200);
+
+  const [player] = srv.read('roster.json');
+  assert.equal(player.name, 'Uma');
+  assert.ok(!JSON.stringify(player).includes('4321'));
+  assert.ok(!fs.existsSync(path.join(__dirname, '..', 'uploads', filename)));
+});
@@ -0,0 +1,49 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const schemas = require('../schemas');
+const { startServer } = require('./helpers/server');
+
+test('hasBothScores: null and blank scores mean not played', () => {
+  assert.equal(schemas.hasBothScores({ score1: 21, score2: 0 }), true);
+  assert.equal(schemas.hasBothScores({ score1: '14', score2: '7' }), true);
+  assert.equal(schemas.hasBothScores({ score1: null, score2: null }), false);
+  assert.equal(schemas.hasBothScores({ score1: '', score2: '' }), false);
+  assert.equal(schemas.hasBothScores({ score1: 10 }), false);
+});
+
+let srv;
+before(async () => {
+  srv = await startServer({
+    files: {
+      'roster.json': [{ name: 'Alpha', pin: '1111' }],
+      'current_week.json': { currentWeek: 1 },
+      'games_week_1.json': [
+        { date: '2025-08-28 6:00 PM', team1: 'India', spread1: -3, team2: 'Juliet', spread2: 3 },
+        { date: '2025-08-28 7:00 PM', team1: 'Kilo', spread1: -3, team2: 'Lima', spread2: 3 }
+      ],
+      'scores_week_1.json': [
+        { date: '2025-08-28', team1: 'India', score1: null, team2: 'Juliet', score2: null },
+        { date: '2025-08-28', team1: 'Kilo', score1: 20, team2: 'Lima', score2: 10 }
+      ]
+    }
+  });
+});
+after(() => srv && srv.stop());
+
+test('a game uploaded with blank scores is not scored as a 0-0 final', async () => {
+  const res = await srv.post('/api/calculate-totalwinners/1', null, srv.admin);
+  assert.equal(res.status, 200);
+
+  const detail = srv.read('winners_detail_week_1.json');
+  const blank = detail.find(d => d.team1 === 'India');
+  assert.equal(blank.winner, undefined);
+  assert.equal(blank.status, 'scheduled');
+  assert.equal(blank.note, 'Score incomplete');
+
+  const played = detail.find(d => d.team1 === 'Kilo');
+  assert.equal(played.status, 'final');
+  assert.equal(played.winner, 'Kilo');
+
+  const declared = srv.read('declaredwinners_week_1.json').map(d => d.winner);
+  assert.deepEqual(declared, ['Kilo']);
+});
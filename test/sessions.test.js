@@ -0,0 +1,31 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const files = { 'roster.json': [{ name: 'Alpha', pin: '1111' }] };
+const servers = [];
+after(() => Promise.all(servers.map(s => s.stop())));
+
+test('player actions need a session token; name + PIN in the body is refused', async () => {
+  const srv = await startServer({ files });
+  servers.push(srv);
+
+  const viaBody = await srv.post('/api/chat', { name: 'Alpha', pin: '1111', message: 'hi' });
+  assert.equal(viaBody.status, 401);
+
+  const auth = await srv.post('/api/authenticate', { name: 'Alpha', pin: '1111' });
+  assert.equal(auth.status, 200);
+  const viaToken = await srv.post('/api/chat', { message: 'hi' }, { authorization: `Bearer ${auth.body.token}` });
+  assert.equal(viaToken.status, 200);
+});
+
+test('ALLOW_BODY_PIN=1 accepts name + PIN and logs each use', async () => {
+  const srv = await startServer({ files, env: { ALLOW_BODY_PIN: '1' } });
+  servers.push(srv);
+
+  const res = await srv.post('/api/chat', { name: 'Alpha', pin: '1111', message: 'hi' });
+  assert.equal(res.status, 200);
+  const audit = await srv.get('/api/admin/audit?action=auth.body_pin', srv.admin);
+  assert.equal(audit.status, 200);
+  assert.ok(JSON.stringify(audit.body).includes('auth.body_pin'));
+});
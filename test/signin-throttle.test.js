@@ -0,0 +1,27 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+const files = {
+  'roster.json': Array.from({ length: 25 }, (_, i) => ({ name: `Player${i}`, pin: '1111' }))
+};
+let srv;
+after(() => srv && srv.stop());
+
+test('a rotating X-Forwarded-For does not get around the per-IP limit', async () => {
+  srv = await startServer({ files });
+  const statuses = [];
+  for (let i = 0; i < 25; i++) {
+    // A different player each time, so only the IP limits can trigger
+    const res = await srv.post('/api/authenticate', { name: `Player${i}`, pin: '0000' },
+      { 'x-forwarded-for': `203.0.113.${i + 1}` });
+    statuses.push(res.status);
+  }
+  assert.ok(statuses.includes(429), `expected a 429, got ${statuses.join(',')}`);
+  assert.equal(statuses.indexOf(429) < 21, true);
+
+  // The audit log records the socket address, not the forged header
+  const audit = await srv.get('/api/admin/audit?action=auth.failed', srv.admin);
+  const ips = new Set((audit.body.events || audit.body).map(e => e.ip));
+  assert.ok(![...ips].some(ip => String(ip).startsWith('203.0.113.')));
+});
@@ -0,0 +1,41 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers/server');
+
+// Week 1 hasn't locked, so tiebreaker registration is open
+let srv;
+let auth;
+before(async () => {
+  srv = await startServer({
+    files: {
+      'roster.json': [{ name: 'Wes', pin: '1111' }],
+      'current_week.json': { currentWeek: 1 },
+      'games_week_1.json': [
+        { date: '2099-06-05 7:30 PM', team1: 'Toronto Argonauts', spread1: -3, team2: 'Ottawa Redblacks', spread2: 3 }
+      ]
+    }
+  });
+  const res = await srv.post('/api/authenticate', { name: 'Wes', pin: '1111' });
+  auth = { authorization: `Bearer ${res.body.token}` };
+});
+after(() => srv && srv.stop());
+
+test('a tiebreaker team that is not on the slate is rejected', async () => {
+  const res = await srv.post('/api/tiebreaker', { team: 'Springfield Isotopes' }, auth);
+  assert.equal(res.status, 400);
+  assert.equal((await srv.get('/api/tiebreaker')).body.count, 0);
+});
+
+test('a slate team is saved with the slate spelling', async () => {
+  const res = await srv.post('/api/tiebreaker', { team: 'toronto argonauts' }, auth);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.team, 'Toronto Argonauts');
+  assert.equal(srv.read('tiebreakers.json').picks.Wes.team, 'Toronto Argonauts');
+});
+
+test('the final No. 1 team must be on the slate too', async () => {
+  const bad = await srv.post('/api/admin/tiebreaker/final', { team: 'Springfield Isotopes' }, srv.admin);
+  assert.equal(bad.status, 400);
+  const ok = await srv.post('/api/admin/tiebreaker/final', { team: 'Ottawa Redblacks' }, srv.admin);
+  assert.equal(ok.body.finalNumberOne, 'Ottawa Redblacks');
+});